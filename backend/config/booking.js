@@ -0,0 +1,22 @@
+// Booking rules. Override with environment variables.
+module.exports = {
+  // Most bags one customer may hold on a single offer (across their bookings)
+  maxQuantityPerUser: parseInt(process.env.BOOKING_MAX_QUANTITY_PER_USER, 10) || 5,
+
+  // Minutes after an offer's pickup window closes before open bookings expire
+  expiryGraceMinutes: parseInt(process.env.BOOKING_EXPIRY_GRACE_MINUTES, 10) || 30,
+
+  // How often the expiry job runs
+  expiryJobIntervalMs: parseInt(process.env.BOOKING_EXPIRY_INTERVAL_MS, 10) || 5 * 60 * 1000,
+
+  // No-shows within the strike window that block new bookings
+  noShowStrikeLimit: parseInt(process.env.NO_SHOW_STRIKE_LIMIT, 10) || 3,
+  noShowStrikeWindowDays: parseInt(process.env.NO_SHOW_STRIKE_WINDOW_DAYS, 10) || 30,
+
+  // How long a customer who hits the strike limit can't book
+  noShowRestrictionDays: parseInt(process.env.NO_SHOW_RESTRICTION_DAYS, 10) || 7,
+
+  // Card bookings not paid within this time are expired and their quantity released
+  paymentTimeoutMinutes: parseInt(process.env.PAYMENT_TIMEOUT_MINUTES, 10) || 15,
+  paymentExpiryJobIntervalMs: parseInt(process.env.PAYMENT_EXPIRY_INTERVAL_MS, 10) || 60 * 1000
+};
@@ -0,0 +1,14 @@
+// Seller payout settings. Override with environment variables.
+module.exports = {
+  // Platform cut, in percent of what a seller takes, for stores without their own rate
+  defaultCommissionRate: parseFloat(process.env.PLATFORM_COMMISSION_RATE) || 15,
+
+  // Settlement period: 'weekly' (Monday to Monday, UTC) or 'monthly'
+  period: process.env.PAYOUT_PERIOD === 'monthly' ? 'monthly' : 'weekly',
+
+  // Wait this long after a period ends before settling it, so refunds
+  // handled by support make it onto the statement
+  settlementDelayHours: parseInt(process.env.PAYOUT_SETTLEMENT_DELAY_HOURS, 10) || 24,
+
+  jobIntervalMs: parseInt(process.env.PAYOUT_JOB_INTERVAL_MS, 10) || 60 * 60 * 1000
+};
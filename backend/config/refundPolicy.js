@@ -0,0 +1,20 @@
+// Cancellation refund policy. Override with environment variables.
+// Percentages may be 0, so they can't fall back with `||`.
+const percent = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : Math.min(100, Math.max(0, parsed));
+};
+
+module.exports = {
+  // Cancellations by these parties are always refunded in full
+  fullRefundFor: ['seller', 'admin', 'system'],
+
+  // A customer cancelling at least this many hours before pickup starts gets everything back
+  fullRefundHoursBefore: parseInt(process.env.REFUND_FULL_HOURS_BEFORE, 10) || 2,
+
+  // Share refunded when the customer cancels later, but before pickup starts
+  lateCancellationPercent: percent(process.env.REFUND_LATE_CANCELLATION_PERCENT, 50),
+
+  // Share refunded when the customer cancels once the pickup window has opened
+  afterPickupStartPercent: percent(process.env.REFUND_AFTER_PICKUP_START_PERCENT, 0)
+};
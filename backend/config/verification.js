@@ -0,0 +1,14 @@
+// Which actions require a verified email or phone number.
+// Override with comma-separated action lists, e.g.
+//   REQUIRE_VERIFIED_EMAIL_FOR=createStore,createOffer,createBooking
+//   REQUIRE_VERIFIED_PHONE_FOR=createBooking
+// Known actions: createStore, createOffer, createBooking
+const parseList = (value, defaults) => {
+  if (value === undefined) return defaults;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+module.exports = {
+  email: parseList(process.env.REQUIRE_VERIFIED_EMAIL_FOR, ['createStore', 'createOffer']),
+  phone: parseList(process.env.REQUIRE_VERIFIED_PHONE_FOR, ['createBooking'])
+};
@@ -0,0 +1,8 @@
+// Wallet limits, in DZD. Override with environment variables.
+module.exports = {
+  minTopup: parseInt(process.env.WALLET_MIN_TOPUP, 10) || 100,
+  maxTopup: parseInt(process.env.WALLET_MAX_TOPUP, 10) || 50000,
+
+  // Largest amount one admin adjustment or compensation may credit per user
+  maxAdminCredit: parseInt(process.env.WALLET_MAX_ADMIN_CREDIT, 10) || 10000
+};
@@ -1,9 +1,76 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { sendEmail } = require('../utils/sendEmail');
+const { sendSms } = require('../utils/sms');
+
+// Build the client metadata stored on a session
+const getClientInfo = (req) => ({
+  device: req.body.device || req.headers['x-device-name'],
+  userAgent: req.headers['user-agent'],
+  ip: req.ip
+});
+
+// Sign an access token bound to a session
+const signAccessToken = (user, session) => {
+  const payload = {
+    user: {
+      id: user.id,
+      role: user.role
+    },
+    session: session.id
+  };
+
+  const token = jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE
+  });
+
+  // Seconds until expiry, as expected by the mobile client
+  const { iat, exp } = jwt.decode(token);
+
+  return { token, expiresIn: exp - iat };
+};
+
+// Email the user a link to confirm their address
+const sendVerificationEmail = async (user, req) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/v1/auth/verify-email/${verificationToken}`;
+
+  const message = `
+    <h2>Welcome to FoodSaver DZ!</h2>
+    <p>Please confirm your email address to finish setting up your account.</p>
+    <p><a href="${verifyUrl}">Verify my email</a></p>
+    <p>This link expires in ${parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24} hours.</p>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Confirm your email address',
+    html: message
+  });
+};
+
+// Open a session for the user and send the token pair
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await Session.start(user._id, getClientInfo(req));
+  const { token, expiresIn } = signAccessToken(user, session);
+
+  const userData = user.toObject();
+  delete userData.password;
+
+  res.status(statusCode).json({
+    token,
+    refreshToken,
+    expiresIn,
+    user: userData
+  });
+};
 
 // @desc    Register a new user
-// @route   POST /api/auth/register
+// @route   POST /api/v1/auth/register
 // @access  Public
 exports.register = async (req, res) => {
   try {
@@ -15,8 +82,8 @@ exports.register = async (req, res) => {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Create new user
-    user = new User({
+    // Create new user (password is hashed by the model's pre-save hook)
+    user = await User.create({
       name,
       email,
       password,
@@ -25,30 +92,14 @@ exports.register = async (req, res) => {
       location
     });
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(password, salt);
-
-    // Save user to database
-    await user.save();
-
-    // Create and return JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
+    // A failed email shouldn't block registration; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (err) {
+      console.error('Error sending email:', err);
+    }
 
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
-      }
-    );
+    await sendTokenResponse(user, 201, req, res);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -56,7 +107,7 @@ exports.register = async (req, res) => {
 };
 
 // @desc    Authenticate user & get token
-// @route   POST /api/auth/login
+// @route   POST /api/v1/auth/login
 // @access  Public
 exports.login = async (req, res) => {
   try {
@@ -69,28 +120,430 @@ exports.login = async (req, res) => {
     }
 
     // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
+    const isMatch = await user.matchPassword(password);
     if (!isMatch) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create and return JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/v1/auth/refresh-token
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await Session.rotate(refreshToken, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
+
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    if (result.reused) {
+      console.warn(`Refresh token reuse detected for session ${result.session.id}`);
+      return res.status(401).json({
+        message: 'This session has been revoked for security reasons. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user) {
+      await result.session.revoke();
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const { token, expiresIn } = signAccessToken(user, result.session);
+
+    res.json({
+      token,
+      refreshToken: result.refreshToken,
+      expiresIn
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/v1/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await Session.findOneAndUpdate(
+        { _id: req.sessionId, user: req.user.id, revokedAt: { $exists: false } },
+        { $set: { revokedAt: Date.now(), revokedReason: 'logout' } }
+      );
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Get active sessions of the current user
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device userAgent ip lastSeenAt createdAt expiresAt')
+      .sort('-lastSeenAt');
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session.id === req.sessionId
+      }))
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Revoke one session of the current user
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Revoke all sessions of the current user
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    // ?keepCurrent=true signs out every other device only
+    const exceptSessionId = req.query.keepCurrent === 'true' ? req.sessionId : undefined;
+
+    const result = await Session.revokeAllForUser(req.user.id, 'revoked_all', exceptSessionId);
+
+    res.json({
+      success: true,
+      data: { revokedCount: result.modifiedCount }
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Send a password reset email
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  // Same response whether or not the email exists, to avoid account enumeration
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a reset link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    // Get reset token
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.RESET_PASSWORD_URL || `${process.env.FRONTEND_URL}/reset-password`}/${resetToken}`;
+
+    const message = `
+      <h2>Password Reset</h2>
+      <p>You are receiving this email because a password reset was requested for your FoodSaver DZ account.</p>
+      <p><a href="${resetUrl}">Reset your password</a></p>
+      <p>This link expires in ${parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30} minutes and can only be used once.</p>
+      <p>If you did not request this, you can safely ignore this email.</p>
+    `;
+
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: 'Password Reset',
+        html: message
+      });
+    } catch (err) {
+      console.error('Error sending email:', err);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    // Even when the email failed, or the answer would give away the account
+    res.json(genericResponse);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Reset password with a one-time token
+// @route   POST /api/v1/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password || password.length < 6) {
+      return res.status(400).json({
+        message: 'Please provide the reset token and a password with 6 or more characters'
+      });
+    }
+
+    const resetPasswordToken = crypto
+      .createHash('sha256')
+      .update(String(token))
+      .digest('hex');
+
+    // Clear the token in the same update that claims it, so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        resetPasswordToken,
+        resetPasswordExpire: { $gt: Date.now() }
+      },
+      { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Sign out every device that may have been using the old password
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Change password of the current user
+// @route   POST /api/v1/auth/change-password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword || newPassword.length < 6) {
+      return res.status(400).json({
+        message: 'Please provide your current password and a new password with 6 or more characters'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in, sign out the others
+    await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+
+    res.json({ success: true, message: 'Password updated' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/v1/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const emailVerificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken,
+        emailVerificationExpire: { $gt: Date.now() }
+      },
+      {
+        $set: { isVerified: true, emailVerifiedAt: Date.now() },
+        $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your email address has been verified'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/v1/auth/resend-verification
+// @access  Private
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+
+    const cooldown = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 120;
+    if (user.emailVerificationSentAt) {
+      const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+      if (elapsed < cooldown) {
+        const retryAfter = Math.ceil(cooldown - elapsed);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          message: `Please wait ${retryAfter} seconds before requesting a new email`,
+          retryAfter
+        });
       }
+    }
+
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (err) {
+      console.error('Error sending email:', err);
+      return res.status(500).json({ message: 'Email could not be sent' });
+    }
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Send a phone verification code by SMS
+// @route   POST /api/v1/auth/phone/send-otp
+// @access  Private
+exports.sendPhoneOtp = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+phoneOtp');
+
+    if (user.isPhoneVerified) {
+      return res.status(400).json({ message: 'Phone number is already verified' });
+    }
+
+    const { code, expiresIn, retryAfter } = user.createPhoneOtp();
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: `Please wait ${retryAfter} seconds before requesting a new code`,
+        retryAfter
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendSms({
+        to: user.phone,
+        message: `FoodSaver DZ: your verification code is ${code}. It expires in ${Math.round(expiresIn / 60)} minutes.`
+      });
+    } catch (err) {
+      console.error('Error sending SMS:', err);
+      return res.status(500).json({ message: 'Verification code could not be sent' });
+    }
+
+    res.json({ success: true, data: { expiresIn } });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Verify phone number with the SMS code
+// @route   POST /api/v1/auth/phone/verify-otp
+// @access  Private
+exports.verifyPhoneOtp = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !/^[0-9]{6}$/.test(code)) {
+      return res.status(400).json({ message: 'Please provide the 6-digit code' });
+    }
+
+    if (req.user.isPhoneVerified) {
+      return res.status(400).json({ message: 'Phone number is already verified' });
+    }
+
+    const { result, user } = await User.verifyPhoneOtp(req.user.id, code);
+
+    const errors = {
+      invalid: [400, 'Invalid verification code'],
+      expired: [400, 'Verification code has expired. Please request a new one'],
+      too_many_attempts: [429, 'Too many incorrect attempts. Please request a new code']
     };
 
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
-      }
-    );
+    if (errors[result]) {
+      const [statusCode, message] = errors[result];
+      return res.status(statusCode).json({ message });
+    }
+
+    res.json({
+      success: true,
+      data: { isPhoneVerified: true, phoneVerifiedAt: user.phoneVerifiedAt }
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -98,7 +551,7 @@ exports.login = async (req, res) => {
 };
 
 // @desc    Get current logged in user
-// @route   GET /api/auth/me
+// @route   GET /api/v1/auth/me
 // @access  Private
 exports.getMe = async (req, res) => {
   try {
@@ -1,10 +1,53 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const Offer = require('../models/Offer');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
+const Store = require('../models/Store');
 const ErrorResponse = require('../utils/errorResponse');
-const asyncHandler = require('../middleware/async');
+const asyncHandler = require('../middlewares/async');
+const { notify } = require('../utils/notificationDispatcher');
 const { sendEmail } = require('../utils/sendEmail');
+const { getVerificationError } = require('../utils/verificationPolicy');
+const bookingConfig = require('../config/booking');
+const { debitForBooking, reverseBookingDebit } = require('../utils/wallet');
+const { applyPromoCode, claimPromoCode, unclaimPromoCode } = require('../utils/promoCodes');
+const { getReliabilityForUsers } = require('../utils/reliability');
+const { paginate } = require('../utils/cursorPagination');
+const {
+  getActorRole,
+  isAwaitingPayment,
+  checkTransition,
+  applyTransition
+} = require('../utils/bookingTransitions');
+const { createTicket, verifyTicket } = require('../utils/pickupTicket');
+const QRCode = require('qrcode');
+
+// Bookings still waiting for their pickup
+const OPEN_STATUSES = ['pending', 'confirmed'];
+
+// Bags a customer holds or has picked up from an offer
+const getHeldQuantity = async (userId, offerId) => {
+  const [held] = await Booking.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId.toString()),
+        offer: new mongoose.Types.ObjectId(offerId.toString()),
+        status: { $in: [...OPEN_STATUSES, 'completed'] }
+      }
+    },
+    {
+      $group: { _id: null, quantity: { $sum: '$quantity' } }
+    }
+  ]);
+
+  return held ? held.quantity : 0;
+};
+
+const perUserCapError = () =>
+  new ErrorResponse(
+    `You can book at most ${bookingConfig.maxQuantityPerUser} from this offer`,
+    400
+  );
 
 // @desc    Get all bookings
 // @route   GET /api/v1/bookings
@@ -37,11 +80,7 @@ exports.getBooking = asyncHandler(async (req, res, next) => {
   }
 
   // Make sure user is booking owner, seller, or admin
-  if (
-    booking.user.toString() !== req.user.id &&
-    booking.seller.toString() !== req.user.id &&
-    req.user.role !== 'admin'
-  ) {
+  if (!getActorRole(booking, req.user)) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to view this booking`,
@@ -53,12 +92,60 @@ exports.getBooking = asyncHandler(async (req, res, next) => {
   res.status(200).json({ success: true, data: booking });
 });
 
+// @desc    Get booking status history
+// @route   GET /api/v1/bookings/:id/history
+// @access  Private
+exports.getBookingHistory = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id)
+    .select('status statusHistory user seller offer')
+    .populate('statusHistory.actor', 'name role');
+
+  if (!booking) {
+    return next(
+      new ErrorResponse(`No booking with the id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user is booking owner, seller, or admin
+  if (!getActorRole(booking, req.user)) {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} is not authorized to view this booking`,
+        401
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    count: booking.statusHistory.length,
+    data: {
+      booking: booking._id,
+      status: booking.status,
+      history: booking.statusHistory
+    }
+  });
+});
+
 // @desc    Add booking
 // @route   POST /api/v1/offers/:offerId/bookings
 // @access  Private
 exports.addBooking = asyncHandler(async (req, res, next) => {
-  req.body.offer = req.params.offerId;
-  req.body.user = req.user.id;
+  // By default only customers with a verified phone can book, to cut down on fake accounts
+  const verificationError = getVerificationError(req.user, 'createBooking');
+  if (verificationError) {
+    return next(new ErrorResponse(verificationError, 403));
+  }
+
+  // Customers who keep missing pickups are blocked for a while
+  if (req.user.isBookingRestricted()) {
+    return next(
+      new ErrorResponse(
+        `You can't make new bookings until ${req.user.bookingRestriction.until.toISOString()} because of missed pickups`,
+        403
+      )
+    );
+  }
 
   const offer = await Offer.findById(req.params.offerId);
 
@@ -82,10 +169,6 @@ exports.addBooking = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Set seller from offer
-  req.body.seller = offer.seller;
-  req.body.totalPrice = offer.discountedPrice * (req.body.quantity || 1);
-  
   // Check if user is not booking their own offer
   if (req.user.id === offer.seller.toString()) {
     return next(
@@ -93,11 +176,36 @@ exports.addBooking = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Check if user already has a booking for this offer
+  const paymentMethod = req.body.paymentMethod || 'cash';
+
+  if (!['cash', 'card', 'wallet'].includes(paymentMethod)) {
+    return next(
+      new ErrorResponse(`Payment method ${paymentMethod} is not supported`, 400)
+    );
+  }
+
+  // Validate requested quantity
+  const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return next(
+      new ErrorResponse('Quantity must be a whole number of at least 1', 400)
+    );
+  }
+
+  if (quantity > offer.availableQuantity) {
+    return next(
+      new ErrorResponse(`Only ${offer.availableQuantity} left for this offer`, 400)
+    );
+  }
+
+  // Check if user already has a booking for this offer. Parallel requests
+  // can all get past this; the unique index on open bookings stops them
+  // when the booking is saved.
   const existingBooking = await Booking.findOne({
     user: req.user.id,
     offer: req.params.offerId,
-    status: { $in: ['pending', 'confirmed'] }
+    status: { $in: OPEN_STATUSES }
   });
 
   if (existingBooking) {
@@ -106,15 +214,155 @@ exports.addBooking = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Generate unique pickup code
-  const pickupCode = await Booking.generatePickupCode();
-  req.body.pickupCode = pickupCode;
-  req.body.pickupTime = offer.pickupStart;
+  // Enforce the per-user cap, counting bags already picked up from this offer
+  if (await getHeldQuantity(req.user._id, offer._id) + quantity > bookingConfig.maxQuantityPerUser) {
+    return next(perUserCapError());
+  }
 
-  const booking = await Booking.create(req.body);
+  // Price the order with the promo code, if any
+  let promoQuote;
+
+  if (req.body.promoCode) {
+    const store = await Store.findById(offer.store).select('category');
+    promoQuote = await applyPromoCode(req.body.promoCode, {
+      userId: req.user._id,
+      store,
+      subtotal: offer.discountedPrice * quantity
+    });
+
+    if (promoQuote.error) {
+      return next(new ErrorResponse(promoQuote.error, 400));
+    }
+  }
+
+  // Atomically take the quantity; fails if someone else got there first
+  const reservedOffer = await Offer.reserve(offer._id, quantity);
+
+  if (!reservedOffer) {
+    return next(
+      new ErrorResponse('Not enough quantity left for this offer', 409)
+    );
+  }
+
+  // The promo code use and any wallet payment are taken before the booking exists
+  const bookingId = new mongoose.Types.ObjectId();
+
+  if (promoQuote) {
+    const promoError = await claimPromoCode(promoQuote.promo, {
+      userId: req.user._id,
+      bookingId
+    });
+
+    if (promoError) {
+      await Offer.release(offer._id, quantity);
+      return next(new ErrorResponse(promoError, 400));
+    }
+  }
+
+  const totalPrice = promoQuote ? promoQuote.total : offer.discountedPrice * quantity;
+  // A fully discounted booking has nothing left to pay
+  const isFree = totalPrice === 0;
+
+  // Wallet bookings are paid up front
+  let walletDebit;
+
+  // Give back what was taken for a booking that can't go ahead
+  const rollback = async () => {
+    await Offer.release(offer._id, quantity);
+    if (walletDebit) {
+      await reverseBookingDebit(walletDebit);
+    }
+    if (promoQuote) {
+      await unclaimPromoCode(promoQuote.promo._id, bookingId);
+    }
+  };
+
+  if (paymentMethod === 'wallet' && !isFree) {
+    walletDebit = await debitForBooking(req.user._id, bookingId, totalPrice);
+
+    if (!walletDebit) {
+      await rollback();
+      return next(
+        new ErrorResponse('Not enough balance in your wallet for this booking', 400)
+      );
+    }
+  }
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      _id: bookingId,
+      offer: offer._id,
+      user: req.user.id,
+      seller: offer.seller,
+      store: offer.store,
+      quantity,
+      totalPrice,
+      discount: promoQuote
+        ? {
+          promoCode: promoQuote.promo._id,
+          code: promoQuote.promo.code,
+          amount: promoQuote.discount,
+          fundedBy: promoQuote.promo.fundedBy
+        }
+        : undefined,
+      // Generate unique pickup code
+      pickupCode: await Booking.generatePickupCode(),
+      pickupTime: offer.pickupStart,
+      paymentMethod,
+      // Card bookings must be paid before the pickup window closes
+      paymentDueAt: paymentMethod === 'card' && !isFree
+        ? new Date(Math.min(
+          Date.now() + bookingConfig.paymentTimeoutMinutes * 60 * 1000,
+          new Date(offer.pickupEnd).getTime()
+        ))
+        : undefined,
+      paymentStatus: walletDebit || (isFree && paymentMethod !== 'cash') ? 'completed' : 'pending',
+      walletTransaction: walletDebit ? walletDebit._id : undefined,
+      statusHistory: [{
+        from: null,
+        to: 'pending',
+        actor: req.user.id,
+        role: 'user'
+      }]
+    });
+  } catch (err) {
+    // Give the quantity (and any wallet money) back if the booking couldn't be saved
+    await rollback();
+
+    // A parallel request of the same customer saved its booking first
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.user) {
+      return next(
+        new ErrorResponse('You already have a booking for this offer', 400)
+      );
+    }
+    throw err;
+  }
+
+  // This is now the customer's only open booking on the offer, so the count
+  // can't move any more; it's over the cap only if another of their bookings
+  // was completed between the check above and now
+  if (await getHeldQuantity(req.user._id, offer._id) > bookingConfig.maxQuantityPerUser) {
+    await Booking.deleteOne({ _id: booking._id });
+    await rollback();
+    return next(perUserCapError());
+  }
+
+  // Card bookings wait for the payment: the seller is told and the booking
+  // confirmed once the gateway reports success (see utils/paymentProcessor)
+  if (paymentMethod === 'card' && !isFree) {
+    return res.status(201).json({
+      success: true,
+      data: booking,
+      payment: {
+        required: true,
+        dueAt: booking.paymentDueAt
+      }
+    });
+  }
 
   // Send notification to seller
-  await Notification.create({
+  await notify({
     user: offer.seller,
     title: 'New Booking!',
     message: `You have a new booking for "${offer.title}"`,
@@ -127,6 +375,15 @@ exports.addBooking = asyncHandler(async (req, res, next) => {
     priority: 'high'
   });
 
+  // Some stores confirm every booking straight away
+  const store = await Store.findById(offer.store).select('autoConfirmBookings');
+  if (store && store.autoConfirmBookings) {
+    booking = (await applyTransition(booking, 'confirmed', {
+      actorRole: 'system',
+      reason: 'Store confirms bookings automatically'
+    })) || booking;
+  }
+
   // Send confirmation email to user
   const user = await User.findById(req.user.id);
   
@@ -137,6 +394,7 @@ exports.addBooking = asyncHandler(async (req, res, next) => {
     <ul>
       <li><strong>Offer:</strong> ${offer.title}</li>
       <li><strong>Quantity:</strong> ${booking.quantity}</li>
+      ${booking.discount && booking.discount.amount ? `<li><strong>Promo Code ${booking.discount.code}:</strong> -${booking.discount.amount} DZD</li>` : ''}
       <li><strong>Total Price:</strong> ${booking.totalPrice} DZD</li>
       <li><strong>Pickup Code:</strong> ${booking.pickupCode}</li>
       <li><strong>Pickup Time:</strong> ${new Date(booking.pickupTime).toLocaleString()}</li>
@@ -173,11 +431,9 @@ exports.updateBooking = asyncHandler(async (req, res, next) => {
   }
 
   // Make sure user is booking owner, seller, or admin
-  if (
-    booking.user.toString() !== req.user.id &&
-    booking.seller.toString() !== req.user.id &&
-    req.user.role !== 'admin'
-  ) {
+  const actorRole = getActorRole(booking, req.user);
+
+  if (!actorRole) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to update this booking`,
@@ -186,83 +442,122 @@ exports.updateBooking = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Prevent certain fields from being updated
-  const { status, cancellationReason, cancelledBy } = req.body;
-  const updateObj = {};
+  // Only status can be changed here, and only by the right party
+  const { status, cancellationReason } = req.body;
 
-  // Only allow status updates with valid transitions
-  if (status) {
-    const validTransitions = {
-      pending: ['confirmed', 'cancelled'],
-      confirmed: ['completed', 'cancelled'],
-      completed: [],
-      cancelled: [],
-      expired: [],
-      rejected: []
-    };
+  if (!status) {
+    return next(new ErrorResponse('Please provide a status', 400));
+  }
 
-    if (!validTransitions[booking.status].includes(status)) {
-      return next(
-        new ErrorResponse(
-          `Invalid status transition from ${booking.status} to ${status}`,
-          400
-        )
-      );
-    }
+  const transitionError = checkTransition(booking, status, actorRole);
+  if (transitionError) {
+    return next(transitionError);
+  }
 
-    updateObj.status = status;
+  const reason = status === 'rejected' ? req.body.rejectionReason : cancellationReason;
 
-    // Handle cancellation
-    if (status === 'cancelled') {
-      updateObj.cancelledAt = Date.now();
-      updateObj.cancelledBy = req.user.role === 'admin' ? 'admin' : 
-                             (req.user.id === booking.user.toString() ? 'user' : 'seller');
-      
-      if (cancellationReason) {
-        updateObj.cancellationReason = cancellationReason;
-      }
+  if (status === 'rejected' && !reason) {
+    return next(new ErrorResponse('Please give a reason for rejecting this booking', 400));
+  }
 
-      // If seller cancels, notify user
-      if (req.user.id === booking.seller.toString()) {
-        await Notification.create({
-          user: booking.user,
-          title: 'Booking Cancelled',
-          message: `Your booking #${booking._id} has been cancelled by the seller`,
-          type: 'booking_cancelled',
-          relatedEntity: {
-            entityType: 'booking',
-            entityId: booking._id
-          },
-          priority: 'high'
-        });
-      }
-    }
+  booking = await applyTransition(booking, status, {
+    actorRole,
+    actorId: req.user.id,
+    reason
+  });
 
-    // Handle completion
-    if (status === 'completed') {
-      updateObj.completedAt = Date.now();
-      
-      // Notify user
-      await Notification.create({
-        user: booking.user,
-        title: 'Order Picked Up',
-        message: `Your order #${booking._id} has been marked as picked up. Thank you for using FoodSaver DZ!`,
-        type: 'booking_completed',
-        relatedEntity: {
-          entityType: 'booking',
-          entityId: booking._id
-        },
-        priority: 'medium'
-      });
-    }
+  if (!booking) {
+    return next(
+      new ErrorResponse('This booking was updated by someone else, please try again', 409)
+    );
+  }
+
+  res.status(200).json({ success: true, data: booking });
+});
+
+// @desc    Confirm a pending booking
+// @route   PUT /api/v1/bookings/:id/confirm
+// @access  Private (Seller, Admin)
+exports.confirmBooking = asyncHandler(async (req, res, next) => {
+  let booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(
+      new ErrorResponse(`No booking with the id of ${req.params.id}`, 404)
+    );
+  }
+
+  const actorRole = getActorRole(booking, req.user);
+  if (!actorRole) {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} is not authorized to update this booking`,
+        401
+      )
+    );
   }
 
-  // Update booking
-  booking = await Booking.findByIdAndUpdate(req.params.id, updateObj, {
-    new: true,
-    runValidators: true
+  const transitionError = checkTransition(booking, 'confirmed', actorRole);
+  if (transitionError) {
+    return next(transitionError);
+  }
+
+  booking = await applyTransition(booking, 'confirmed', { actorRole, actorId: req.user.id });
+
+  if (!booking) {
+    return next(
+      new ErrorResponse('This booking was updated by someone else, please try again', 409)
+    );
+  }
+
+  res.status(200).json({ success: true, data: booking });
+});
+
+// @desc    Reject a pending booking
+// @route   PUT /api/v1/bookings/:id/reject
+// @access  Private (Seller, Admin)
+exports.rejectBooking = asyncHandler(async (req, res, next) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!reason) {
+    return next(new ErrorResponse('Please give a reason for rejecting this booking', 400));
+  }
+
+  let booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(
+      new ErrorResponse(`No booking with the id of ${req.params.id}`, 404)
+    );
+  }
+
+  const actorRole = getActorRole(booking, req.user);
+  if (!actorRole) {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} is not authorized to update this booking`,
+        401
+      )
+    );
+  }
+
+  const transitionError = checkTransition(booking, 'rejected', actorRole);
+  if (transitionError) {
+    return next(transitionError);
+  }
+
+  booking = await applyTransition(booking, 'rejected', {
+    actorRole,
+    actorId: req.user.id,
+    reason
   });
 
+  if (!booking) {
+    return next(
+      new ErrorResponse('This booking was updated by someone else, please try again', 409)
+    );
+  }
+
   res.status(200).json({ success: true, data: booking });
 });
 
@@ -279,11 +574,7 @@ exports.deleteBooking = asyncHandler(async (req, res, next) => {
   }
 
   // Make sure user is booking owner, seller, or admin
-  if (
-    booking.user.toString() !== req.user.id &&
-    booking.seller.toString() !== req.user.id &&
-    req.user.role !== 'admin'
-  ) {
+  if (!getActorRole(booking, req.user)) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to delete this booking`,
@@ -302,7 +593,23 @@ exports.deleteBooking = asyncHandler(async (req, res, next) => {
     );
   }
 
-  await booking.remove();
+  // Cancel a pending booking first so its quantity, promo code use and any
+  // wallet payment are given back like for any other cancellation
+  if (booking.status === 'pending') {
+    const cancelled = await applyTransition(booking, 'cancelled', {
+      actorRole: getActorRole(booking, req.user),
+      actorId: req.user.id,
+      reason: 'Booking deleted'
+    });
+
+    if (!cancelled) {
+      return next(
+        new ErrorResponse('This booking was updated by someone else, please try again', 409)
+      );
+    }
+  }
+
+  await booking.deleteOne();
 
   res.status(200).json({ success: true, data: {} });
 });
@@ -320,14 +627,20 @@ exports.getUserBookings = asyncHandler(async (req, res, next) => {
     );
   }
 
-  const bookings = await Booking.find({ user: req.params.userId })
-    .populate('offer', 'title images')
-    .populate('seller', 'name storeName')
-    .sort('-createdAt');
+  const { data: bookings, nextCursor } = await paginate(Booking, { user: req.params.userId }, {
+    sort: '-createdAt',
+    cursor: req.query.cursor,
+    limit: req.query.limit,
+    populate: [
+      { path: 'offer', select: 'title images' },
+      { path: 'seller', select: 'name storeName' }
+    ]
+  });
 
   res.status(200).json({
     success: true,
     count: bookings.length,
+    nextCursor,
     data: bookings
   });
 });
@@ -345,15 +658,35 @@ exports.getSellerBookings = asyncHandler(async (req, res, next) => {
     );
   }
 
-  const bookings = await Booking.find({ seller: req.params.sellerId })
-    .populate('user', 'name email phone')
-    .populate('offer', 'title images')
-    .sort('-createdAt');
+  const { data: bookings, nextCursor } = await paginate(Booking, { seller: req.params.sellerId }, {
+    sort: '-createdAt',
+    cursor: req.query.cursor,
+    limit: req.query.limit,
+    populate: [
+      { path: 'user', select: 'name email phone' },
+      { path: 'offer', select: 'title images' }
+    ]
+  });
+
+  // Let the seller see how reliable each customer is
+  const customerIds = [...new Set(
+    bookings.filter(booking => booking.user).map(booking => booking.user._id.toString())
+  )];
+  const reliability = await getReliabilityForUsers(customerIds);
+
+  const data = bookings.map(booking => {
+    const item = booking.toObject();
+    if (item.user) {
+      item.user.reliability = reliability[item.user._id.toString()];
+    }
+    return item;
+  });
 
   res.status(200).json({
     success: true,
-    count: bookings.length,
-    data: bookings
+    count: data.length,
+    nextCursor,
+    data
   });
 });
 
@@ -361,8 +694,11 @@ exports.getSellerBookings = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/bookings/verify/:code
 // @access  Private (Seller)
 exports.verifyPickupCode = asyncHandler(async (req, res, next) => {
+  // Only look among this seller's bookings, so a code can't be used to
+  // probe other stores' bookings
   const booking = await Booking.findOne({
-    pickupCode: req.params.code,
+    pickupCode: req.params.code.toUpperCase(),
+    seller: req.user.id,
     status: { $in: ['pending', 'confirmed'] }
   })
   .populate('user', 'name email')
@@ -375,13 +711,6 @@ exports.verifyPickupCode = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure the seller is the one verifying
-  if (booking.seller._id.toString() !== req.user.id) {
-    return next(
-      new ErrorResponse('You are not authorized to verify this code', 401)
-    );
-  }
-
   res.status(200).json({
     success: true,
     data: booking
@@ -393,7 +722,8 @@ exports.verifyPickupCode = asyncHandler(async (req, res, next) => {
 // @access  Private (Seller)
 exports.completeBookingWithCode = asyncHandler(async (req, res, next) => {
   const booking = await Booking.findOne({
-    pickupCode: req.params.code,
+    pickupCode: req.params.code.toUpperCase(),
+    seller: req.user.id,
     status: { $in: ['pending', 'confirmed'] }
   });
 
@@ -403,34 +733,157 @@ exports.completeBookingWithCode = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure the seller is the one completing
-  if (booking.seller.toString() !== req.user.id) {
+  if (isAwaitingPayment(booking)) {
+    return next(new ErrorResponse('This booking has not been paid yet', 400));
+  }
+
+  // Handing over the order completes it, even if it was never confirmed
+  const completed = await applyTransition(booking, 'completed', {
+    actorRole: 'seller',
+    actorId: req.user.id
+  });
+
+  if (!completed) {
     return next(
-      new ErrorResponse('You are not authorized to complete this booking', 401)
+      new ErrorResponse('This booking was updated by someone else, please try again', 409)
     );
   }
 
-  // Update booking status to completed
-  booking.status = 'completed';
-  booking.completedAt = Date.now();
-  await booking.save();
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
 
-  // Notify user
-  await Notification.create({
-    user: booking.user,
-    title: 'Order Picked Up',
-    message: `Your order #${booking._id} has been marked as picked up. Thank you for using FoodSaver DZ!`,
-    type: 'booking_completed',
-    relatedEntity: {
-      entityType: 'booking',
-      entityId: booking._id
-    },
-    priority: 'medium'
+// @desc    Get the QR pickup ticket for a booking
+// @route   GET /api/v1/bookings/:id/ticket
+// @access  Private
+exports.getPickupTicket = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(
+      new ErrorResponse(`No booking with the id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Only the customer (or an admin) gets the ticket
+  const actorRole = getActorRole(booking, req.user);
+  if (actorRole !== 'user' && actorRole !== 'admin') {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} is not authorized to view this ticket`,
+        401
+      )
+    );
+  }
+
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return next(
+      new ErrorResponse(`No pickup ticket for a booking with status ${booking.status}`, 400)
+    );
+  }
+
+  // The ticket expires with the offer's pickup window
+  if (!booking.offer) {
+    return next(
+      new ErrorResponse('The offer for this booking no longer exists', 404)
+    );
+  }
+
+  const { payload, expiresAt } = createTicket(booking, booking.offer.pickupEnd);
+  const format = (req.query.format || 'png').toLowerCase();
+  const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      data: { payload, pickupCode: booking.pickupCode, expiresAt }
+    });
+  }
+
+  if (format === 'svg') {
+    const svg = await QRCode.toString(payload, { ...options, type: 'svg' });
+    return res.status(200).type('image/svg+xml').send(svg);
+  }
+
+  if (format !== 'png') {
+    return next(new ErrorResponse('Format must be png, svg or json', 400));
+  }
+
+  const png = await QRCode.toBuffer(payload, { ...options, type: 'png' });
+  res.status(200).type('image/png').send(png);
+});
+
+// @desc    Complete booking by scanning its QR ticket
+// @route   POST /api/v1/bookings/scan
+// @access  Private (Seller)
+exports.scanPickupTicket = asyncHandler(async (req, res, next) => {
+  // Devices that scanned offline send the time of the scan when they sync
+  const scannedAt = req.body.scannedAt ? new Date(req.body.scannedAt) : new Date();
+  const ticket = verifyTicket(req.body.payload, scannedAt);
+
+  if (ticket.error) {
+    return next(new ErrorResponse(ticket.error, 400));
+  }
+
+  const booking = await Booking.findOne({
+    _id: ticket.bookingId,
+    pickupCode: ticket.pickupCode
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse('Invalid or expired pickup ticket', 404));
+  }
+
+  // The ticket must belong to one of the scanning seller's stores
+  const store = booking.store ? await Store.findById(booking.store).select('owner') : null;
+  const ownsBooking =
+    getActorRole(booking, req.user) === 'seller' ||
+    (store && store.owner.toString() === req.user.id);
+
+  if (!ownsBooking) {
+    return next(
+      new ErrorResponse('This ticket belongs to another store', 403)
+    );
+  }
+
+  // Offline devices may sync the same scan twice
+  if (booking.status === 'completed') {
+    return res.status(200).json({
+      success: true,
+      alreadyCompleted: true,
+      data: booking
+    });
+  }
+
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return next(
+      new ErrorResponse(`Cannot complete a booking with status ${booking.status}`, 400)
+    );
+  }
+
+  if (isAwaitingPayment(booking)) {
+    return next(new ErrorResponse('This booking has not been paid yet', 400));
+  }
+
+  const completed = await applyTransition(booking, 'completed', {
+    actorRole: 'seller',
+    actorId: req.user.id,
+    reason: 'Pickup ticket scanned',
+    pickedUpAt: scannedAt
   });
 
+  if (!completed) {
+    return next(
+      new ErrorResponse('This booking was updated by someone else, please try again', 409)
+    );
+  }
+
   res.status(200).json({
     success: true,
-    data: {}
+    alreadyCompleted: false,
+    data: completed
   });
 });
 
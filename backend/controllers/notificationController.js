@@ -1,6 +1,19 @@
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
-const asyncHandler = require('../middleware/async');
+const asyncHandler = require('../middlewares/async');
+
+const PREFERENCE_CHANNELS = ['email', 'push', 'sms'];
+const PREFERENCE_CATEGORIES = ['bookingUpdates', 'newOffers', 'promotions', 'accountAlerts'];
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return typeof timeZone === 'string';
+  } catch (err) {
+    return false;
+  }
+};
 
 // @desc    Get all notifications for current user
 // @route   GET /api/v1/notifications
@@ -187,32 +200,11 @@ exports.clearNotifications = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/notifications/preferences
 // @access  Private
 exports.getNotificationPreferences = asyncHandler(async (req, res, next) => {
-  // This would typically come from the user's profile or settings
-  // For now, return default preferences
-  const defaultPreferences = {
-    email: {
-      bookingUpdates: true,
-      newOffers: true,
-      promotions: true,
-      accountAlerts: true
-    },
-    push: {
-      bookingUpdates: true,
-      newOffers: true,
-      promotions: false,
-      accountAlerts: true
-    },
-    sms: {
-      bookingUpdates: true,
-      newOffers: false,
-      promotions: false,
-      accountAlerts: true
-    }
-  };
-  
+  const user = await User.findById(req.user.id).select('notificationPreferences');
+
   res.status(200).json({
     success: true,
-    data: defaultPreferences
+    data: user.notificationPreferences
   });
 });
 
@@ -220,12 +212,59 @@ exports.getNotificationPreferences = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/v1/notifications/preferences
 // @access  Private
 exports.updateNotificationPreferences = asyncHandler(async (req, res, next) => {
-  // In a real app, this would update the user's preferences in the database
-  // For now, just return the updated preferences
-  
+  const updates = {};
+
+  // Only known channel/category switches and quiet hours settings are accepted
+  for (const [channel, categories] of Object.entries(req.body)) {
+    if (channel === 'quietHours') continue;
+
+    if (!PREFERENCE_CHANNELS.includes(channel) || typeof categories !== 'object' || categories === null) {
+      return next(new ErrorResponse(`Unknown notification channel "${channel}"`, 400));
+    }
+
+    for (const [category, enabled] of Object.entries(categories)) {
+      if (!PREFERENCE_CATEGORIES.includes(category)) {
+        return next(new ErrorResponse(`Unknown notification category "${category}"`, 400));
+      }
+      if (typeof enabled !== 'boolean') {
+        return next(new ErrorResponse(`${channel}.${category} must be true or false`, 400));
+      }
+      updates[`notificationPreferences.${channel}.${category}`] = enabled;
+    }
+  }
+
+  const { quietHours } = req.body;
+  if (quietHours !== undefined) {
+    if (typeof quietHours !== 'object' || quietHours === null) {
+      return next(new ErrorResponse('quietHours must be an object', 400));
+    }
+
+    for (const [field, value] of Object.entries(quietHours)) {
+      if (field === 'enabled' && typeof value !== 'boolean') {
+        return next(new ErrorResponse('quietHours.enabled must be true or false', 400));
+      }
+      if ((field === 'start' || field === 'end') && !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(value)) {
+        return next(new ErrorResponse(`quietHours.${field} must be in HH:MM format`, 400));
+      }
+      if (field === 'timezone' && !isValidTimezone(value)) {
+        return next(new ErrorResponse('quietHours.timezone must be a valid IANA timezone', 400));
+      }
+      if (!['enabled', 'start', 'end', 'timezone'].includes(field)) {
+        return next(new ErrorResponse(`Unknown quiet hours setting "${field}"`, 400));
+      }
+      updates[`notificationPreferences.quietHours.${field}`] = value;
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    { $set: updates },
+    { new: true, runValidators: true }
+  ).select('notificationPreferences');
+
   res.status(200).json({
     success: true,
-    data: req.body
+    data: user.notificationPreferences
   });
 });
 
@@ -1,13 +1,30 @@
 const Offer = require('../models/Offer');
 const Store = require('../models/Store');
 const Booking = require('../models/Booking');
-const Notification = require('../models/Notification');
 const geocoder = require('../utils/geocoder');
 const ErrorResponse = require('../utils/errorResponse');
-const asyncHandler = require('../middleware/async');
+const asyncHandler = require('../middlewares/async');
+const { notify } = require('../utils/notificationDispatcher');
+const { getVerificationError } = require('../utils/verificationPolicy');
+const { applyTransition } = require('../utils/bookingTransitions');
+const { paginate, paginateAggregate } = require('../utils/cursorPagination');
+const { parseGeoQuery, geoNearStage, fromMeters } = require('../utils/geo');
+const { parseSearchQuery, searchCondition, relevanceStages } = require('../utils/search');
 const path = require('path');
 const fs = require('fs');
 
+const OFFER_LIST_POPULATE = [
+  { path: 'seller', select: 'name storeName avatar' },
+  { path: 'store', select: 'name address city' }
+];
+
+// Aggregations return every field, including those find() leaves out
+const HIDE_SEARCH_FIELDS = { $project: { search: 0 } };
+
+// $geoNear gives distances in meters; show them in the unit asked for
+const withDistance = (offers, unit) =>
+  offers.map(offer => ({ ...offer, distance: fromMeters(offer.distance, unit) }));
+
 // @desc    Get all offers
 // @route   GET /api/v1/offers
 // @access  Public
@@ -15,38 +32,33 @@ exports.getOffers = asyncHandler(async (req, res, next) => {
   res.status(200).json(res.advancedResults);
 });
 
-// @desc    Get nearby offers
+// @desc    Get nearby offers, closest first
 // @route   GET /api/v1/offers/nearby
 // @access  Public
 exports.getNearbyOffers = asyncHandler(async (req, res, next) => {
-  const { distance, lat, lng, unit = 'km' } = req.query;
-  
-  // Validate coordinates
-  if (!lat || !lng) {
-    return next(new ErrorResponse('Please provide latitude and longitude in the format lat,lng', 400));
-  }
-
-  // Calculate radius in radians
-  const radius = unit === 'mi' ? distance / 3963.2 : distance / 6378.1;
-  
-  const offers = await Offer.find({
-    location: {
-      $geoWithin: {
-        $centerSphere: [[lng, lat], radius]
-      }
-    },
-    isActive: true,
-    availableQuantity: { $gt: 0 },
-    pickupEnd: { $gt: Date.now() }
-  })
-  .populate('seller', 'name storeName avatar')
-  .populate('store', 'name address city')
-  .sort('-createdAt');
+  const geo = parseGeoQuery(req.query, { required: true });
+
+  const { data: offers, nextCursor } = await paginateAggregate(Offer, [
+    geoNearStage(geo, {
+      isActive: true,
+      availableQuantity: { $gt: 0 },
+      // Aggregation doesn't cast, so this must be a Date
+      pickupEnd: { $gt: new Date() }
+    }),
+    HIDE_SEARCH_FIELDS
+  ], {
+    sort: 'distance',
+    cursor: req.query.cursor,
+    limit: req.query.limit,
+    populate: OFFER_LIST_POPULATE
+  });
 
   res.status(200).json({
     success: true,
     count: offers.length,
-    data: offers
+    unit: geo.unit,
+    nextCursor,
+    data: withDistance(offers, geo.unit)
   });
 });
 
@@ -71,6 +83,12 @@ exports.getOffer = asyncHandler(async (req, res, next) => {
 // @route   POST /api/v1/stores/:storeId/offers
 // @access  Private (Seller)
 exports.createOffer = asyncHandler(async (req, res, next) => {
+  // Sellers can't publish offers from unverified addresses
+  const verificationError = getVerificationError(req.user, 'createOffer');
+  if (verificationError) {
+    return next(new ErrorResponse(verificationError, 403));
+  }
+
   // Add user to req.body
   req.body.seller = req.user.id;
   req.body.store = req.params.storeId;
@@ -94,7 +112,7 @@ exports.createOffer = asyncHandler(async (req, res, next) => {
   const offer = await Offer.create(req.body);
 
   // Send notification to nearby users
-  await Notification.create({
+  await notify({
     user: req.user.id,
     title: 'New Offer Available!',
     message: `A new offer "${offer.title}" has been added to ${store.name}`,
@@ -137,17 +155,24 @@ exports.updateOffer = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // If updating quantity, adjust availableQuantity accordingly
-  if (req.body.quantity) {
-    const quantityDiff = req.body.quantity - offer.quantity;
-    req.body.availableQuantity = Math.max(0, offer.availableQuantity + quantityDiff);
+  // Quantities only change through atomic updates, or bags booked while
+  // this request runs would come back on sale
+  const { quantity, availableQuantity, ...fields } = req.body;
+  const newQuantity = quantity === undefined ? undefined : Number(quantity);
+
+  if (newQuantity !== undefined && (!Number.isInteger(newQuantity) || newQuantity < 1)) {
+    return next(new ErrorResponse('Quantity must be a whole number of at least 1', 400));
   }
 
-  offer = await Offer.findByIdAndUpdate(req.params.id, req.body, {
+  offer = await Offer.findByIdAndUpdate(req.params.id, fields, {
     new: true,
     runValidators: true
   });
 
+  if (newQuantity !== undefined) {
+    offer = await Offer.resize(offer._id, newQuantity);
+  }
+
   res.status(200).json({ success: true, data: offer });
 });
 
@@ -173,20 +198,35 @@ exports.deleteOffer = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Cancel all pending bookings for this offer
-  await Booking.updateMany(
-    { 
-      offer: offer._id, 
-      status: { $in: ['pending', 'confirmed'] } 
-    },
-    { 
-      status: 'cancelled',
-      cancelledBy: req.user.role === 'admin' ? 'admin' : 'seller',
-      cancellationReason: 'Offer was deleted by the seller'
-    }
-  );
+  // Cancel all open bookings for this offer, one by one so each gets its
+  // history entry, its customer notified and its quantity released
+  const openBookings = await Booking.find({
+    offer: offer._id,
+    status: { $in: ['pending', 'confirmed'] }
+  });
 
-  await offer.remove();
+  const actorRole = req.user.role === 'admin' ? 'admin' : 'seller';
+  const reason = actorRole === 'admin'
+    ? 'Offer was removed by the FoodSaver DZ team'
+    : 'Offer was deleted by the seller';
+  for (const booking of openBookings) {
+    await applyTransition(booking, 'cancelled', {
+      actorRole,
+      actorId: req.user.id,
+      reason
+    });
+  }
+
+  // Keep offers that were booked for the bookings, refunds and payouts that
+  // refer to them
+  if (await Booking.exists({ offer: offer._id })) {
+    offer.isActive = false;
+    await offer.save();
+
+    return res.status(200).json({ success: true, data: offer });
+  }
+
+  await offer.deleteOne();
 
   res.status(200).json({ success: true, data: {} });
 });
@@ -277,13 +317,17 @@ exports.getOffersByStore = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/sellers/:sellerId/offers
 // @access  Public
 exports.getOffersBySeller = asyncHandler(async (req, res, next) => {
-  const offers = await Offer.find({ seller: req.params.sellerId })
-    .populate('store', 'name address')
-    .sort('-createdAt');
+  const { data: offers, nextCursor } = await paginate(Offer, { seller: req.params.sellerId }, {
+    sort: '-createdAt',
+    cursor: req.query.cursor,
+    limit: req.query.limit,
+    populate: { path: 'store', select: 'name address' }
+  });
 
   res.status(200).json({
     success: true,
     count: offers.length,
+    nextCursor,
     data: offers
   });
 });
@@ -313,18 +357,20 @@ exports.getFeaturedOffers = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/offers/search
 // @access  Public
 exports.searchOffers = asyncHandler(async (req, res, next) => {
-  const { q, category, minPrice, maxPrice, sort, lat, lng, distance = 10, unit = 'km' } = req.query;
+  const { q, category, minPrice, maxPrice, sort } = req.query;
+  const geo = parseGeoQuery(req.query);
+  const terms = parseSearchQuery(q);
+
+  if (q && !terms) {
+    return next(new ErrorResponse('Please search for at least one word of 2 letters or more', 400));
+  }
   
   // Build query object
   const queryObj = {};
   
-  // Search by keyword
-  if (q) {
-    queryObj.$or = [
-      { title: { $regex: q, $options: 'i' } },
-      { description: { $regex: q, $options: 'i' } },
-      { 'store.name': { $regex: q, $options: 'i' } }
-    ];
+  // Search by keyword, in any spelling of the offer or its store's name and city
+  if (terms) {
+    Object.assign(queryObj, searchCondition(terms));
   }
   
   // Filter by category
@@ -333,51 +379,76 @@ exports.searchOffers = asyncHandler(async (req, res, next) => {
   }
   
   // Filter by price range
-  if (minPrice || maxPrice) {
-    queryObj.discountedPrice = {};
-    if (minPrice) queryObj.discountedPrice.$gte = Number(minPrice);
-    if (maxPrice) queryObj.discountedPrice.$lte = Number(maxPrice);
+  const priceRange = {};
+  for (const [operator, value] of [['$gte', minPrice], ['$lte', maxPrice]]) {
+    if (value === undefined || value === '') continue;
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) {
+      return next(new ErrorResponse('minPrice and maxPrice must be positive numbers', 400));
+    }
+    priceRange[operator] = price;
   }
-  
-  // Filter by location if coordinates provided
-  if (lat && lng) {
-    const radius = unit === 'mi' ? distance / 3963.2 : distance / 6378.1;
-    queryObj.location = {
-      $geoWithin: {
-        $centerSphere: [[lng, lat], radius]
-      }
-    };
+  if (Object.keys(priceRange).length > 0) {
+    queryObj.discountedPrice = priceRange;
   }
   
   // Always filter active offers with available quantity and future pickup
   queryObj.isActive = true;
   queryObj.availableQuantity = { $gt: 0 };
-  queryObj.pickupEnd = { $gt: Date.now() };
+  queryObj.pickupEnd = { $gt: new Date() };
   
-  // Build sort object
-  let sortBy = '-createdAt';
-  if (sort) {
-    const sortOptions = {
-      newest: '-createdAt',
-      oldest: 'createdAt',
-      priceLow: 'discountedPrice',
-      priceHigh: '-discountedPrice',
-      rating: '-rating',
-      pickup: 'pickupStart'
-    };
-    sortBy = sortOptions[sort] || sortBy;
+  // Build sort object; best match first when searching for words, else
+  // closest first when searching around a point
+  const sortOptions = {
+    newest: '-createdAt',
+    oldest: 'createdAt',
+    priceLow: 'discountedPrice',
+    priceHigh: '-discountedPrice',
+    rating: '-rating',
+    pickup: 'pickupStart'
+  };
+  if (geo) sortOptions.distance = 'distance';
+  if (terms) sortOptions.relevance = '-relevance';
+
+  if (sort && !sortOptions[sort]) {
+    return next(
+      new ErrorResponse(`Sort must be one of ${Object.keys(sortOptions).join(', ')}`, 400)
+    );
   }
+  const sortBy = sortOptions[sort] ||
+    (terms && '-relevance') || (geo && 'distance') || '-createdAt';
   
-  // Execute query
-  const offers = await Offer.find(queryObj)
-    .sort(sortBy)
-    .populate('seller', 'name storeName avatar')
-    .populate('store', 'name address city');
+  // Execute query, one page at a time
+  const pageOptions = {
+    sort: sortBy,
+    cursor: req.query.cursor,
+    limit: req.query.limit,
+    populate: OFFER_LIST_POPULATE
+  };
+
+  if (!geo && !terms) {
+    const { data: offers, nextCursor } = await paginate(Offer, queryObj, pageOptions);
+
+    return res.status(200).json({
+      success: true,
+      count: offers.length,
+      nextCursor,
+      data: offers
+    });
+  }
+
+  const pipeline = [geo ? geoNearStage(geo, queryObj) : { $match: queryObj }];
+  if (terms) pipeline.push(...relevanceStages(terms));
+  pipeline.push(HIDE_SEARCH_FIELDS);
+
+  const { data: offers, nextCursor } = await paginateAggregate(Offer, pipeline, pageOptions);
   
   res.status(200).json({
     success: true,
     count: offers.length,
-    data: offers
+    ...(geo && { unit: geo.unit }),
+    nextCursor,
+    data: geo ? withDistance(offers, geo.unit) : offers
   });
 });
 
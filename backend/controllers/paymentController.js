@@ -0,0 +1,325 @@
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const { getProvider } = require('../utils/payments');
+const { syncPayment } = require('../utils/paymentProcessor');
+const { refundPayment } = require('../utils/refundEngine');
+const mockProvider = require('../utils/payments/mockProvider');
+
+const getBaseUrl = (req) =>
+  process.env.PAYMENT_CALLBACK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// Send the customer back to the app after the gateway, or answer with
+// JSON when no return URL is configured (e.g. in tests)
+const returnToApp = (res, payment) => {
+  const returnUrl = process.env.PAYMENT_RETURN_URL;
+
+  if (!returnUrl) {
+    return res.status(200).json({
+      success: payment.status === 'succeeded',
+      data: {
+        payment: payment._id,
+        purpose: payment.purpose,
+        booking: payment.booking,
+        status: payment.status
+      }
+    });
+  }
+
+  const params = new URLSearchParams({
+    status: payment.status,
+    purpose: payment.purpose,
+    payment: payment._id.toString(),
+    ...(payment.booking && { booking: payment.booking.toString() })
+  });
+  const separator = returnUrl.includes('?') ? '&' : '?';
+  res.redirect(`${returnUrl}${separator}${params}`);
+};
+
+// @desc    Start paying a card booking
+// @route   POST /api/v1/payments
+// @access  Private
+exports.initiatePayment = asyncHandler(async (req, res, next) => {
+  const { booking: bookingId, cardType = 'cib' } = req.body;
+
+  if (!['cib', 'edahabia'].includes(cardType)) {
+    return next(new ErrorResponse('Card type must be cib or edahabia', 400));
+  }
+
+  const booking = await Booking.findById(bookingId);
+
+  if (!booking) {
+    return next(new ErrorResponse(`No booking with the id of ${bookingId}`, 404));
+  }
+
+  if ((booking.user._id || booking.user).toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to pay for this booking`, 401)
+    );
+  }
+
+  if (booking.paymentMethod !== 'card') {
+    return next(new ErrorResponse('This booking is not paid by card', 400));
+  }
+
+  if (booking.status !== 'pending' || booking.paymentStatus === 'completed') {
+    return next(new ErrorResponse('This booking does not need to be paid', 400));
+  }
+
+  if (!booking.paymentDueAt || booking.paymentDueAt < new Date()) {
+    return next(new ErrorResponse('The time to pay for this booking has passed', 400));
+  }
+
+  // Only one attempt at a time: a second one could be paid as well.
+  // The customer goes back to the open one unless it has ended meanwhile.
+  const openAttempt = await Payment.findOne({ booking: booking._id, status: 'pending' });
+
+  if (openAttempt) {
+    const current = await syncPayment(openAttempt);
+
+    if (current.status === 'pending') {
+      if (!current.redirectUrl) {
+        return next(new ErrorResponse('A payment for this booking is already in progress', 409));
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          payment: current._id,
+          redirectUrl: current.redirectUrl,
+          expiresAt: current.expiresAt
+        }
+      });
+    }
+
+    if (current.status === 'succeeded') {
+      return next(new ErrorResponse('This booking has already been paid', 400));
+    }
+  }
+
+  const provider = getProvider();
+  const baseUrl = getBaseUrl(req);
+  const orderNumber = Payment.generateOrderNumber();
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      booking: booking._id,
+      user: req.user.id,
+      amount: booking.totalPrice,
+      provider: provider.name,
+      cardType,
+      orderNumber,
+      expiresAt: booking.paymentDueAt
+    });
+  } catch (err) {
+    // A parallel request opened an attempt first
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.booking) {
+      return next(new ErrorResponse('A payment for this booking is already in progress', 409));
+    }
+    throw err;
+  }
+
+  try {
+    const { providerOrderId, redirectUrl } = await provider.createPayment({
+      orderNumber,
+      amount: payment.amount,
+      currency: payment.currency,
+      returnUrl: `${baseUrl}/api/v1/payments/callback/${provider.name}`,
+      failUrl: `${baseUrl}/api/v1/payments/callback/${provider.name}`,
+      description: `FoodSaver DZ booking ${booking._id}`,
+      language: req.user.language,
+      cardType,
+      baseUrl
+    });
+
+    payment.providerOrderId = providerOrderId;
+    payment.redirectUrl = redirectUrl;
+    await payment.save();
+  } catch (err) {
+    payment.status = 'failed';
+    payment.failedAt = Date.now();
+    payment.errorMessage = err.message;
+    await payment.save();
+
+    console.error('Error creating payment:', err);
+    return next(new ErrorResponse('The payment gateway is not available, please try again', 502));
+  }
+
+  // A new attempt after a failed one
+  if (booking.paymentStatus === 'failed') {
+    await Booking.updateOne(
+      { _id: booking._id, paymentStatus: 'failed' },
+      { paymentStatus: 'pending' }
+    );
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      payment: payment._id,
+      redirectUrl: payment.redirectUrl,
+      expiresAt: payment.expiresAt
+    }
+  });
+});
+
+// @desc    Get a payment
+// @route   GET /api/v1/payments/:id
+// @access  Private
+exports.getPayment = asyncHandler(async (req, res, next) => {
+  let payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    return next(new ErrorResponse(`No payment with the id of ${req.params.id}`, 404));
+  }
+
+  if (payment.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to view this payment`, 401)
+    );
+  }
+
+  // Lets the app poll while the customer is on the gateway's page
+  payment = await syncPayment(payment);
+
+  res.status(200).json({
+    success: true,
+    data: payment
+  });
+});
+
+// @desc    Refund a payment by hand
+// @route   POST /api/v1/payments/:id/refund
+// @access  Private (Admin)
+exports.refundPayment = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    return next(new ErrorResponse(`No payment with the id of ${req.params.id}`, 404));
+  }
+
+  if (!['succeeded', 'partially_refunded'].includes(payment.status)) {
+    return next(new ErrorResponse(`Cannot refund a payment with status ${payment.status}`, 400));
+  }
+
+  // Top-ups are in the wallet already; take them back with a wallet adjustment
+  if (payment.purpose !== 'booking') {
+    return next(new ErrorResponse('Only booking payments can be refunded here', 400));
+  }
+
+  // Defaults to whatever is left
+  const amount = req.body.amount === undefined
+    ? payment.amount - payment.refundedAmount
+    : Number(req.body.amount);
+
+  if (!(amount > 0)) {
+    return next(new ErrorResponse('Refund amount must be a positive number', 400));
+  }
+
+  if (amount > payment.amount - payment.refundedAmount) {
+    return next(
+      new ErrorResponse(`At most ${payment.amount - payment.refundedAmount} DZD can still be refunded`, 400)
+    );
+  }
+
+  const result = await refundPayment(payment, amount, req.body.reason || 'refunded by support');
+
+  if (!result.ok) {
+    return next(new ErrorResponse(`Refund failed: ${result.error}`, 502));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await Payment.findById(payment._id)
+  });
+});
+
+// @desc    Customer returning from the gateway
+// @route   GET /api/v1/payments/callback/:provider
+// @access  Public
+exports.paymentCallback = asyncHandler(async (req, res, next) => {
+  const providerOrderId = req.query.orderId;
+
+  if (!providerOrderId) {
+    return next(new ErrorResponse('Missing order id', 400));
+  }
+
+  let payment = await Payment.findOne({
+    provider: req.params.provider,
+    providerOrderId: String(providerOrderId)
+  });
+
+  if (!payment) {
+    return next(new ErrorResponse('Payment not found', 404));
+  }
+
+  // The redirect itself proves nothing: ask the gateway
+  payment = await syncPayment(payment);
+
+  returnToApp(res, payment);
+});
+
+// @desc    Server-to-server payment notification
+// @route   POST /api/v1/payments/webhook/:provider
+// @access  Public
+exports.paymentWebhook = asyncHandler(async (req, res, next) => {
+  let provider;
+  try {
+    provider = getProvider(req.params.provider);
+  } catch (err) {
+    return next(new ErrorResponse(`Unknown payment provider ${req.params.provider}`, 404));
+  }
+
+  if (typeof provider.parseWebhook !== 'function') {
+    return next(new ErrorResponse(`Provider ${provider.name} does not send webhooks`, 404));
+  }
+
+  let providerOrderId;
+  try {
+    providerOrderId = provider.parseWebhook(req);
+  } catch (err) {
+    return next(new ErrorResponse(err.message, 401));
+  }
+
+  const payment = await Payment.findOne({
+    provider: provider.name,
+    providerOrderId: String(providerOrderId)
+  });
+
+  // Acknowledge unknown orders so the gateway stops retrying
+  if (payment) {
+    await syncPayment(payment);
+  }
+
+  res.status(200).json({ received: true });
+});
+
+// @desc    Checkout page of the local mock gateway
+// @route   GET /api/v1/payments/mock/checkout/:orderId
+// @access  Public (development only)
+exports.mockCheckout = asyncHandler(async (req, res, next) => {
+  if (process.env.NODE_ENV === 'production' || getProvider().name !== 'mock') {
+    return next(new ErrorResponse('Not found', 404));
+  }
+
+  const { orderId } = req.params;
+  const order = mockProvider.orders.get(orderId);
+
+  if (!order) {
+    return next(new ErrorResponse('Unknown mock order', 404));
+  }
+
+  const { outcome } = req.query;
+
+  if (outcome === 'success' || outcome === 'fail') {
+    return res.redirect(mockProvider.complete(orderId, outcome));
+  }
+
+  res.status(200).type('html').send(`
+    <h2>Mock payment gateway</h2>
+    <p>Order ${order.orderNumber}: ${order.amount} DZD</p>
+    <p><a href="?outcome=success">Pay</a> | <a href="?outcome=fail">Decline</a></p>
+  `);
+});
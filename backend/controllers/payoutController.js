@@ -0,0 +1,356 @@
+const PDFDocument = require('pdfkit');
+const Payout = require('../models/Payout');
+const Booking = require('../models/Booking');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const { notify } = require('../utils/notificationDispatcher');
+const { settlePayouts } = require('../jobs/settlePayouts');
+
+const MAX_PAGE_SIZE = 100;
+
+// Status changes an admin may make
+const PAYOUT_TRANSITIONS = {
+  pending: ['processing', 'paid', 'failed'],
+  processing: ['paid', 'failed'],
+  failed: ['processing', 'paid']
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const canView = (payout, user) =>
+  user.role === 'admin' || payout.seller.toString() === user.id;
+
+// Quote a CSV field, and defuse text a spreadsheet would run as a formula
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (fields) => fields.map(toCsvField).join(',');
+
+const storeName = (line) => (line.store && line.store.name ? line.store.name : '');
+
+const getStatementLines = async (payout) => {
+  const bookings = await Booking.find({ _id: { $in: payout.bookings } }).sort('completedAt');
+  const storeNames = new Map(payout.stores.map(line => [
+    (line.store._id || line.store).toString(),
+    storeName(line)
+  ]));
+
+  return bookings.map(booking => ({
+    booking: booking._id.toString(),
+    store: storeNames.get((booking.store._id || booking.store).toString()) || '',
+    pickupCode: booking.pickupCode,
+    completedAt: formatDate(booking.completedAt),
+    offer: booking.offer && booking.offer.title ? booking.offer.title : '',
+    quantity: booking.quantity,
+    paymentMethod: booking.paymentMethod,
+    totalPrice: booking.totalPrice,
+    refunded: booking.refundedAmount || 0
+  }));
+};
+
+const sendCsvStatement = (res, payout, lines, filename) => {
+  const rows = [
+    toCsvRow(['Period', formatDate(payout.periodStart), formatDate(payout.periodEnd)]),
+    toCsvRow(['Gross', payout.gross]),
+    toCsvRow(['Cash collected by seller', payout.cashGross]),
+    toCsvRow(['Collected online', payout.onlineGross]),
+    toCsvRow(['Promo discounts paid by the platform', payout.platformDiscounts]),
+    toCsvRow(['Refunds', payout.refunds]),
+    toCsvRow(['Commission', payout.commission]),
+    toCsvRow(['Net', payout.net]),
+    toCsvRow(['Status', payout.status]),
+    '',
+    toCsvRow(['Store', 'Commission rate (%)', 'Bookings', 'Gross', 'Promo discounts paid by the platform', 'Refunds', 'Commission', 'Net']),
+    ...payout.stores.map(line => toCsvRow([
+      storeName(line),
+      line.commissionRate,
+      line.bookingCount,
+      line.gross,
+      line.platformDiscounts,
+      line.refunds,
+      line.commission,
+      line.net
+    ])),
+    '',
+    toCsvRow(['Booking', 'Store', 'Pickup code', 'Completed', 'Offer', 'Quantity', 'Payment method', 'Total', 'Refunded']),
+    ...lines.map(line => toCsvRow([
+      line.booking,
+      line.store,
+      line.pickupCode,
+      line.completedAt,
+      line.offer,
+      line.quantity,
+      line.paymentMethod,
+      line.totalPrice,
+      line.refunded
+    ]))
+  ];
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  res.status(200).send(`${rows.join('\r\n')}\r\n`);
+};
+
+const sendPdfStatement = (res, payout, lines, filename) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  doc.pipe(res);
+
+  doc.fontSize(18).text('FoodSaver DZ - Payout statement');
+  doc.moveDown(0.5);
+  doc.fontSize(10)
+    .text(`Period: ${formatDate(payout.periodStart)} to ${formatDate(payout.periodEnd)}`)
+    .text(`Statement: ${payout._id}`)
+    .text(`Status: ${payout.status}${payout.reference ? ` (ref. ${payout.reference})` : ''}`);
+  doc.moveDown();
+
+  const summary = [
+    ['Completed bookings', payout.bookingCount],
+    ['Gross', `${payout.gross} ${payout.currency}`],
+    ['Cash collected by seller', `${payout.cashGross} ${payout.currency}`],
+    ['Collected online', `${payout.onlineGross} ${payout.currency}`],
+    ['Promo discounts paid by the platform', `${payout.platformDiscounts} ${payout.currency}`],
+    ['Refunds', `${payout.refunds} ${payout.currency}`],
+    ['Commission', `${payout.commission} ${payout.currency}`],
+    ['Net', `${payout.net} ${payout.currency}`]
+  ];
+
+  doc.fontSize(11);
+  for (const [label, value] of summary) {
+    const y = doc.y;
+    doc.text(label, 50, y);
+    doc.text(String(value), 300, y, { width: 245, align: 'right' });
+  }
+  doc.moveDown();
+
+  // Store lines, each at its own commission rate
+  doc.fontSize(11).font('Helvetica-Bold').text('By store', 50);
+  doc.font('Helvetica');
+  for (const line of payout.stores) {
+    const y = doc.y;
+    doc.text(`${storeName(line) || '-'}: ${line.bookingCount} bookings, ${line.commissionRate}% commission`, 50, y, { width: 300 });
+    doc.text(`${line.commission} ${payout.currency} commission, ${line.net} ${payout.currency} net`, 350, y, { width: 195, align: 'right' });
+  }
+  doc.moveDown();
+
+  // Booking lines
+  const columns = [
+    ['Completed', 50, 70],
+    ['Code', 120, 60],
+    ['Offer', 180, 170],
+    ['Qty', 350, 30],
+    ['Method', 380, 55],
+    ['Total', 435, 55],
+    ['Refunded', 490, 55]
+  ];
+  const writeRow = (values) => {
+    if (doc.y > doc.page.height - 80) doc.addPage();
+    const y = doc.y;
+    columns.forEach(([, x, width], i) => {
+      doc.text(String(values[i]), x, y, { width, lineBreak: false, ellipsis: true });
+    });
+    doc.moveDown(0.3);
+  };
+
+  doc.fontSize(9).font('Helvetica-Bold');
+  writeRow(columns.map(([title]) => title));
+  doc.font('Helvetica');
+  for (const line of lines) {
+    writeRow([
+      line.completedAt,
+      line.pickupCode,
+      line.offer,
+      line.quantity,
+      line.paymentMethod,
+      line.totalPrice,
+      line.refunded
+    ]);
+  }
+
+  doc.end();
+};
+
+// @desc    Get payout statements
+// @route   GET /api/v1/payouts
+// @access  Private (Seller, Admin)
+exports.getPayouts = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+  // Sellers only see their own statements
+  const query = {};
+  if (req.user.role === 'admin') {
+    if (req.query.seller) query.seller = req.query.seller;
+  } else {
+    query.seller = req.user.id;
+  }
+  if (req.query.status) query.status = req.query.status;
+
+  const [payouts, total] = await Promise.all([
+    Payout.find(query)
+      .select('-bookings -statusHistory')
+      .populate('stores.store', 'name')
+      .sort('-periodEnd')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Payout.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: payouts
+  });
+});
+
+// @desc    Get a payout statement
+// @route   GET /api/v1/payouts/:id
+// @access  Private (Seller, Admin)
+exports.getPayout = asyncHandler(async (req, res, next) => {
+  const payout = await Payout.findById(req.params.id).populate('stores.store', 'name');
+
+  if (!payout) {
+    return next(new ErrorResponse(`No payout with the id of ${req.params.id}`, 404));
+  }
+
+  if (!canView(payout, req.user)) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to view this payout`, 401)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...payout.toObject(),
+      lines: await getStatementLines(payout)
+    }
+  });
+});
+
+// @desc    Download a payout statement
+// @route   GET /api/v1/payouts/:id/statement?format=csv|pdf
+// @access  Private (Seller, Admin)
+exports.exportPayoutStatement = asyncHandler(async (req, res, next) => {
+  const format = req.query.format || 'pdf';
+
+  if (!['csv', 'pdf'].includes(format)) {
+    return next(new ErrorResponse('Format must be csv or pdf', 400));
+  }
+
+  const payout = await Payout.findById(req.params.id).populate('stores.store', 'name');
+
+  if (!payout) {
+    return next(new ErrorResponse(`No payout with the id of ${req.params.id}`, 404));
+  }
+
+  if (!canView(payout, req.user)) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to view this payout`, 401)
+    );
+  }
+
+  const lines = await getStatementLines(payout);
+  const filename = `payout-${formatDate(payout.periodStart)}-${formatDate(payout.periodEnd)}`;
+
+  if (format === 'csv') {
+    return sendCsvStatement(res, payout, lines, filename);
+  }
+
+  sendPdfStatement(res, payout, lines, filename);
+});
+
+// @desc    Update a payout's status
+// @route   PUT /api/v1/payouts/:id/status
+// @access  Private (Admin)
+exports.updatePayoutStatus = asyncHandler(async (req, res, next) => {
+  const { status, reference, note } = req.body;
+
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    return next(new ErrorResponse(`No payout with the id of ${req.params.id}`, 404));
+  }
+
+  const allowed = PAYOUT_TRANSITIONS[payout.status] || [];
+  if (!allowed.includes(status)) {
+    return next(
+      new ErrorResponse(`Cannot change a payout from ${payout.status} to ${status}`, 400)
+    );
+  }
+
+  // Money sent to the seller must be traceable
+  if (status === 'paid' && payout.net > 0 && !reference) {
+    return next(new ErrorResponse('Please give the transfer reference', 400));
+  }
+
+  if (status === 'failed' && !note) {
+    return next(new ErrorResponse('Please say why the payout failed', 400));
+  }
+
+  const update = {
+    status,
+    $push: { statusHistory: { status, actor: req.user.id, note } }
+  };
+  if (reference) update.reference = reference;
+  if (status === 'paid') update.paidAt = Date.now();
+  if (status === 'failed') update.failureReason = note;
+
+  // Guard on the status we checked against
+  const updated = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: payout.status },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    return next(new ErrorResponse('This payout was changed meanwhile, please reload it', 409));
+  }
+
+  if (status === 'paid' || status === 'failed') {
+    const period = `${formatDate(updated.periodStart)} to ${formatDate(updated.periodEnd)}`;
+
+    await notify({
+      user: updated.seller,
+      title: status === 'paid' ? 'Payout Sent' : 'Payout Failed',
+      message: status === 'paid'
+        ? `Your payout of ${updated.net} DZD for ${period} has been sent${updated.reference ? ` (ref. ${updated.reference})` : ''}`
+        : `Your payout for ${period} could not be sent: ${note}`,
+      type: 'payout_update',
+      relatedEntity: {
+        entityType: 'payout',
+        entityId: updated._id
+      },
+      actionUrl: `/seller/payouts/${updated._id}`,
+      priority: status === 'paid' ? 'medium' : 'high'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: updated
+  });
+});
+
+// @desc    Settle the last due period now
+// @route   POST /api/v1/payouts/settle
+// @access  Private (Admin)
+exports.settleNow = asyncHandler(async (req, res, next) => {
+  const payouts = await settlePayouts();
+
+  res.status(201).json({
+    success: true,
+    count: payouts.length,
+    data: payouts
+  });
+});
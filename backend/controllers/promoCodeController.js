@@ -0,0 +1,324 @@
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const Booking = require('../models/Booking');
+const Offer = require('../models/Offer');
+const Store = require('../models/Store');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const { applyPromoCode } = require('../utils/promoCodes');
+
+const MAX_PAGE_SIZE = 100;
+
+// Fields an admin may set
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minOrderAmount',
+  'maxUses',
+  'maxUsesPerUser',
+  'validFrom',
+  'validUntil',
+  'stores',
+  'categories',
+  'fundedBy',
+  'isActive'
+];
+
+// What changes the price of bookings already made with the code
+const PRICING_FIELDS = ['code', 'discountType', 'discountValue', 'maxDiscount', 'fundedBy'];
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    Object.entries(body).filter(([field]) => EDITABLE_FIELDS.includes(field))
+  );
+
+// @desc    Check a promo code against an order before booking
+// @route   POST /api/v1/promo-codes/validate
+// @access  Private
+exports.validatePromoCode = asyncHandler(async (req, res, next) => {
+  const { code, offer: offerId } = req.body;
+  const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+  if (!code) {
+    return next(new ErrorResponse('Please enter a promo code', 400));
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return next(new ErrorResponse('Quantity must be a whole number of at least 1', 400));
+  }
+
+  const offer = await Offer.findById(offerId);
+
+  if (!offer) {
+    return next(new ErrorResponse(`No offer with the id of ${offerId}`, 404));
+  }
+
+  const store = await Store.findById(offer.store).select('category');
+  const quote = await applyPromoCode(code, {
+    userId: req.user._id,
+    store,
+    subtotal: offer.discountedPrice * quantity
+  });
+
+  if (quote.error) {
+    return next(new ErrorResponse(quote.error, 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      code: quote.promo.code,
+      description: quote.promo.description,
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      total: quote.total
+    }
+  });
+});
+
+// @desc    Get promo codes
+// @route   GET /api/v1/promo-codes
+// @access  Private (Admin)
+exports.getPromoCodes = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+  const query = {};
+  if (req.query.active === 'true') {
+    query.isActive = true;
+    query.validUntil = { $gt: new Date() };
+  } else if (req.query.active === 'false') {
+    query.$or = [{ isActive: false }, { validUntil: { $lte: new Date() } }];
+  }
+  if (req.query.search) {
+    query.code = {
+      $regex: String(req.query.search).toUpperCase().replace(/[^A-Z0-9_-]/g, '')
+    };
+  }
+
+  const [promoCodes, total] = await Promise.all([
+    PromoCode.find(query)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    PromoCode.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: promoCodes.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: promoCodes
+  });
+});
+
+// @desc    Get a promo code
+// @route   GET /api/v1/promo-codes/:id
+// @access  Private (Admin)
+exports.getPromoCode = asyncHandler(async (req, res, next) => {
+  const promoCode = await PromoCode.findById(req.params.id).populate('stores', 'name city');
+
+  if (!promoCode) {
+    return next(new ErrorResponse(`No promo code with the id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: promoCode
+  });
+});
+
+// @desc    Create a promo code
+// @route   POST /api/v1/promo-codes
+// @access  Private (Admin)
+exports.createPromoCode = asyncHandler(async (req, res, next) => {
+  const fields = pickEditable(req.body);
+
+  if (await PromoCode.exists({ code: String(fields.code || '').trim().toUpperCase() })) {
+    return next(new ErrorResponse(`Promo code ${fields.code} already exists`, 400));
+  }
+
+  const promoCode = await PromoCode.create({
+    ...fields,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: promoCode
+  });
+});
+
+// @desc    Update a promo code
+// @route   PUT /api/v1/promo-codes/:id
+// @access  Private (Admin)
+exports.updatePromoCode = asyncHandler(async (req, res, next) => {
+  const promoCode = await PromoCode.findById(req.params.id);
+
+  if (!promoCode) {
+    return next(new ErrorResponse(`No promo code with the id of ${req.params.id}`, 404));
+  }
+
+  const fields = pickEditable(req.body);
+
+  // Customers have booked with these terms: start a new code instead
+  const used = await Booking.exists({ 'discount.promoCode': promoCode._id });
+  const lockedField = used && PRICING_FIELDS.find(field => field in fields);
+  if (lockedField) {
+    return next(
+      new ErrorResponse(`Cannot change ${lockedField} of a promo code that has been used`, 400)
+    );
+  }
+
+  // Saved rather than updated so the cross-field validators see the whole code
+  promoCode.set(fields);
+  await promoCode.save();
+
+  res.status(200).json({
+    success: true,
+    data: promoCode
+  });
+});
+
+// @desc    Delete a promo code
+// @route   DELETE /api/v1/promo-codes/:id
+// @access  Private (Admin)
+exports.deletePromoCode = asyncHandler(async (req, res, next) => {
+  const promoCode = await PromoCode.findById(req.params.id);
+
+  if (!promoCode) {
+    return next(new ErrorResponse(`No promo code with the id of ${req.params.id}`, 404));
+  }
+
+  // Keep used codes for the bookings and reports that refer to them
+  if (await Booking.exists({ 'discount.promoCode': promoCode._id })) {
+    promoCode.isActive = false;
+    await promoCode.save();
+
+    return res.status(200).json({
+      success: true,
+      data: promoCode
+    });
+  }
+
+  await promoCode.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get usage of a promo code
+// @route   GET /api/v1/promo-codes/:id/usage
+// @access  Private (Admin)
+exports.getPromoCodeUsage = asyncHandler(async (req, res, next) => {
+  const promoCode = await PromoCode.findById(req.params.id);
+
+  if (!promoCode) {
+    return next(new ErrorResponse(`No promo code with the id of ${req.params.id}`, 404));
+  }
+
+  const match = { 'discount.promoCode': new mongoose.Types.ObjectId(promoCode._id.toString()) };
+
+  const byStatus = await Booking.aggregate([
+    {
+      $match: match
+    },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        totalDiscount: { $sum: '$discount.amount' },
+        totalRevenue: { $sum: '$totalPrice' }
+      }
+    },
+    {
+      $sort: { _id: 1 }
+    }
+  ]);
+
+  const [totals] = await Booking.aggregate([
+    {
+      $match: match
+    },
+    {
+      $group: {
+        _id: null,
+        redemptions: { $sum: 1 },
+        customers: { $addToSet: '$user' },
+        totalDiscount: {
+          $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$discount.amount', 0] }
+        },
+        totalRevenue: {
+          $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$totalPrice', 0] }
+        },
+        completedBookings: {
+          $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+        }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        redemptions: 1,
+        uniqueCustomers: { $size: '$customers' },
+        totalDiscount: 1,
+        totalRevenue: 1,
+        completedBookings: 1
+      }
+    }
+  ]);
+
+  const byStore = await Booking.aggregate([
+    {
+      $match: { ...match, status: 'completed' }
+    },
+    {
+      $group: {
+        _id: '$store',
+        count: { $sum: 1 },
+        totalDiscount: { $sum: '$discount.amount' }
+      }
+    },
+    {
+      $sort: { count: -1 }
+    },
+    {
+      $limit: 20
+    }
+  ]);
+
+  const daily = await Booking.aggregate([
+    {
+      $match: match
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        count: { $sum: 1 },
+        totalDiscount: { $sum: '$discount.amount' }
+      }
+    },
+    {
+      $sort: { _id: 1 }
+    }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      code: promoCode.code,
+      usedCount: promoCode.usedCount,
+      maxUses: promoCode.maxUses,
+      totals: totals || {},
+      byStatus,
+      byStore,
+      daily
+    }
+  });
+});
@@ -2,9 +2,10 @@ const Review = require('../models/Review');
 const Store = require('../models/Store');
 const Offer = require('../models/Offer');
 const Booking = require('../models/Booking');
-const Notification = require('../models/Notification');
+const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
-const asyncHandler = require('../middleware/async');
+const asyncHandler = require('../middlewares/async');
+const { notify } = require('../utils/notificationDispatcher');
 
 // @desc    Get all reviews
 // @route   GET /api/v1/reviews
@@ -161,7 +162,7 @@ exports.addReview = asyncHandler(async (req, res, next) => {
     await calculateAverageRating(review.store, 'store');
     
     // Notify store owner
-    await Notification.create({
+    await notify({
       user: review.store.owner,
       title: 'New Review Received',
       message: `You have received a new ${review.rating}-star review for your store`,
@@ -184,7 +185,7 @@ exports.addReview = asyncHandler(async (req, res, next) => {
     
     // Notify offer owner
     if (offer && offer.seller) {
-      await Notification.create({
+      await notify({
         user: offer.seller._id,
         title: 'New Review Received',
         message: `You have received a new ${review.rating}-star review for your offer "${offer.title}"`,
@@ -446,7 +447,7 @@ exports.moderateReview = asyncHandler(async (req, res, next) => {
 
   // Notify the review author
   if (action !== 'approve') {
-    await Notification.create({
+    await notify({
       user: review.user,
       title: 'Review Update',
       message: notificationMessage,
@@ -518,7 +519,7 @@ exports.flagReview = asyncHandler(async (req, res, next) => {
     const admins = await User.find({ role: 'admin' });
     
     await Promise.all(admins.map(admin => 
-      Notification.create({
+      notify({
         user: admin._id,
         title: 'Review Flagged',
         message: `A review has been flagged multiple times and requires attention.`,
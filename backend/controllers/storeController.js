@@ -3,10 +3,14 @@ const User = require('../models/User');
 const Offer = require('../models/Offer');
 const Review = require('../models/Review');
 const ErrorResponse = require('../utils/errorResponse');
-const asyncHandler = require('../middleware/async');
+const asyncHandler = require('../middlewares/async');
 const geocoder = require('../utils/geocoder');
+const { getVerificationError } = require('../utils/verificationPolicy');
+const { parseSearchQuery, searchCondition, relevanceStages, normalizeText } = require('../utils/search');
 const path = require('path');
 
+const MAX_PAGE_SIZE = 100;
+
 // @desc    Get all stores
 // @route   GET /api/v1/stores
 // @access  Public
@@ -106,9 +110,19 @@ exports.getStore = asyncHandler(async (req, res, next) => {
 // @route   POST /api/v1/stores
 // @access  Private (Admin, Seller)
 exports.createStore = asyncHandler(async (req, res, next) => {
+  const verificationError = getVerificationError(req.user, 'createStore');
+  if (verificationError) {
+    return next(new ErrorResponse(verificationError, 403));
+  }
+
   // Add user to req.body
   req.body.owner = req.user.id;
 
+  // Only admins set the platform's cut
+  if (req.user.role !== 'admin') {
+    delete req.body.commissionRate;
+  }
+
   // Check for published store
   const publishedStore = await Store.findOne({ owner: req.user.id });
 
@@ -161,6 +175,11 @@ exports.updateStore = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Only admins set the platform's cut
+  if (req.user.role !== 'admin') {
+    delete req.body.commissionRate;
+  }
+
   // If location is being updated, update the GeoJSON point
   if (req.body.address || req.body.city) {
     // Get address data from the store or request body
@@ -501,51 +520,71 @@ exports.getStoreStats = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/stores/search
 // @access  Public
 exports.searchStores = asyncHandler(async (req, res, next) => {
-  const { q, category, city, sort, page = 1, limit = 10 } = req.query;
+  const { q, category, city, sort } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_PAGE_SIZE);
+  const terms = parseSearchQuery(q);
+
+  if (q && !terms) {
+    return next(new ErrorResponse('Please search for at least one word of 2 letters or more', 400));
+  }
   
   // Build query
   const query = { isActive: true };
   
-  // Search by keyword
-  if (q) {
-    query.$or = [
-      { name: { $regex: q, $options: 'i' } },
-      { description: { $regex: q, $options: 'i' } },
-      { 'cuisines': { $regex: q, $options: 'i' } },
-      { 'address': { $regex: q, $options: 'i' } },
-      { 'city': { $regex: q, $options: 'i' } }
-    ];
+  // Search by keyword, in any spelling of the name, city, category or address
+  if (terms) {
+    Object.assign(query, searchCondition(terms));
   }
   
   // Filter by category
   if (category) {
-    query.category = { $in: category.split(',') };
+    query.category = { $in: String(category).split(',') };
   }
   
-  // Filter by city
+  // Filter by city, however its name is spelt
   if (city) {
-    query.city = { $regex: city, $options: 'i' };
+    query['search.city'] = normalizeText(city);
   }
   
-  // Build sort
-  let sortBy = '-createdAt';
-  if (sort === 'rating') sortBy = '-averageRating';
-  if (sort === 'newest') sortBy = '-createdAt';
-  if (sort === 'name') sortBy = 'name';
+  // Build sort; best match first when searching for words
+  const sortOptions = {
+    relevance: { relevance: -1 },
+    rating: { rating: -1 },
+    newest: { createdAt: -1 },
+    name: { name: 1 }
+  };
+  const sortBy = sortOptions[sort] || (terms ? sortOptions.relevance : sortOptions.newest);
+
+  if (!terms && sortBy === sortOptions.relevance) {
+    return next(new ErrorResponse('Sorting by relevance needs a search term', 400));
+  }
   
   // Execute query
-  const stores = await Store.find(query)
-    .sort(sortBy)
-    .skip((page - 1) * limit)
-    .limit(parseInt(limit))
-    .populate('owner', 'name avatar');
-    
-  const total = await Store.countDocuments(query);
+  const [result] = await Store.aggregate([
+    { $match: query },
+    ...(terms ? relevanceStages(terms) : []),
+    { $project: { search: 0, commissionRate: 0 } },
+    {
+      $facet: {
+        data: [
+          { $sort: { ...sortBy, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const stores = await Store.populate(result.data, { path: 'owner', select: 'name avatar' });
+  const total = result.total.length > 0 ? result.total[0].count : 0;
   
   res.status(200).json({
     success: true,
     count: stores.length,
     total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
     data: stores
   });
 });
@@ -0,0 +1,332 @@
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const { detectProvider } = require('../utils/push');
+const { getReliability } = require('../utils/reliability');
+const { notify } = require('../utils/notificationDispatcher');
+const bookingConfig = require('../config/booking');
+
+// Oldest tokens are dropped beyond this many devices per user
+const MAX_PUSH_TOKENS = 10;
+
+// Profile fields a user is allowed to change on their own account.
+// Anything else (role, isVerified, ...) is silently dropped. The avatar only
+// changes through the upload route.
+const PROFILE_FIELDS = ['name', 'phone', 'location', 'language'];
+const LOCATION_FIELDS = ['coordinates', 'formattedAddress', 'street', 'city', 'state', 'zipcode', 'country'];
+
+const pick = (obj, fields) =>
+  fields.reduce((picked, field) => {
+    if (obj[field] !== undefined) picked[field] = obj[field];
+    return picked;
+  }, {});
+
+// @desc    Get current user's profile
+// @route   GET /api/v1/users/me
+// @access  Private
+exports.getMe = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Update current user's profile
+// @route   PUT /api/v1/users/me
+// @access  Private
+exports.updateMe = asyncHandler(async (req, res, next) => {
+  if (req.body.password) {
+    return next(
+      new ErrorResponse('This route is not for password updates. Please use /api/v1/auth/change-password', 400)
+    );
+  }
+
+  const updates = pick(req.body, PROFILE_FIELDS);
+
+  if (updates.location) {
+    updates.location = {
+      type: 'Point',
+      ...pick(updates.location, LOCATION_FIELDS)
+    };
+  }
+
+  // A new phone number has to be verified again
+  if (updates.phone && updates.phone !== req.user.phone) {
+    updates.isPhoneVerified = false;
+    updates.$unset = { phoneVerifiedAt: 1 };
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, updates, {
+    new: true,
+    runValidators: true
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Upload avatar for current user
+// @route   PUT /api/v1/users/me/avatar
+// @access  Private
+exports.uploadAvatar = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new ErrorResponse(`Please upload a file`, 400));
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    { avatar: req.file.filename },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: user.avatar
+  });
+});
+
+// @desc    Register a push notification token for a device
+// @route   POST /api/v1/users/:id/push-token
+// @access  Private
+exports.addPushToken = asyncHandler(async (req, res, next) => {
+  if (req.params.id !== req.user.id) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to update this user`, 401)
+    );
+  }
+
+  const { token, platform, device } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return next(new ErrorResponse('Please provide a push token', 400));
+  }
+
+  // A token belongs to one device, so detach it from any other account first
+  await User.updateMany(
+    { _id: { $ne: req.user.id }, 'pushTokens.token': token },
+    { $pull: { pushTokens: { token } } }
+  );
+
+  await User.updateOne(
+    { _id: req.user.id },
+    { $pull: { pushTokens: { token } } }
+  );
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    {
+      $push: {
+        pushTokens: {
+          $each: [{
+            token,
+            provider: detectProvider(token),
+            platform,
+            device
+          }],
+          $slice: -MAX_PUSH_TOKENS
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  ).select('+pushTokens');
+
+  res.status(200).json({
+    success: true,
+    count: user.pushTokens.length
+  });
+});
+
+// @desc    Remove a push notification token
+// @route   DELETE /api/v1/users/:id/push-token/:token
+// @access  Private
+exports.removePushToken = asyncHandler(async (req, res, next) => {
+  if (req.params.id !== req.user.id) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to update this user`, 401)
+    );
+  }
+
+  await User.updateOne(
+    { _id: req.user.id },
+    { $pull: { pushTokens: { token: req.params.token } } }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get current user's reliability score and booking restriction
+// @route   GET /api/v1/users/me/reliability
+// @access  Private
+exports.getMyReliability = asyncHandler(async (req, res, next) => {
+  const reliability = await getReliability(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...reliability,
+      strikeLimit: bookingConfig.noShowStrikeLimit,
+      restricted: req.user.isBookingRestricted(),
+      restriction: req.user.isBookingRestricted() ? req.user.bookingRestriction : null,
+      appeal: req.user.reliabilityAppeal && req.user.reliabilityAppeal.status
+        ? req.user.reliabilityAppeal
+        : null
+    }
+  });
+});
+
+// @desc    Appeal a booking restriction
+// @route   POST /api/v1/users/me/reliability/appeal
+// @access  Private
+exports.submitReliabilityAppeal = asyncHandler(async (req, res, next) => {
+  const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+  if (!message) {
+    return next(new ErrorResponse('Please explain why the restriction should be lifted', 400));
+  }
+
+  if (!req.user.isBookingRestricted()) {
+    return next(new ErrorResponse('Your account has no booking restriction to appeal', 400));
+  }
+
+  const user = await User.findById(req.user.id);
+
+  const appeal = user.reliabilityAppeal;
+  if (appeal && appeal.status === 'pending') {
+    return next(new ErrorResponse('You already have an appeal under review', 400));
+  }
+
+  // One appeal per restriction
+  if (appeal && appeal.submittedAt && appeal.submittedAt >= user.bookingRestriction.createdAt) {
+    return next(new ErrorResponse('This restriction has already been appealed', 400));
+  }
+
+  user.reliabilityAppeal = {
+    message,
+    status: 'pending',
+    submittedAt: Date.now()
+  };
+  await user.save({ validateBeforeSave: false });
+
+  const admins = await User.find({ role: 'admin' }).select('_id');
+  for (const admin of admins) {
+    await notify({
+      user: admin._id,
+      title: 'New Booking Restriction Appeal',
+      message: `${user.name} has appealed their booking restriction`,
+      type: 'admin_alert',
+      relatedEntity: {
+        entityType: 'user',
+        entityId: user._id
+      },
+      priority: 'low'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user.reliabilityAppeal
+  });
+});
+
+// @desc    Get pending booking restriction appeals
+// @route   GET /api/v1/users/reliability/appeals
+// @access  Private (Admin)
+exports.getReliabilityAppeals = asyncHandler(async (req, res, next) => {
+  const status = req.query.status || 'pending';
+
+  const users = await User.find({ 'reliabilityAppeal.status': status })
+    .select('name email phone noShowCount lastNoShowAt bookingRestriction reliabilityAppeal')
+    .sort('reliabilityAppeal.submittedAt');
+
+  const data = [];
+  for (const user of users) {
+    data.push({
+      ...user.toObject(),
+      reliability: await getReliability(user._id)
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Approve or reject a booking restriction appeal
+// @route   PUT /api/v1/users/:id/reliability/appeal
+// @access  Private (Admin)
+exports.resolveReliabilityAppeal = asyncHandler(async (req, res, next) => {
+  const { decision, note } = req.body;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return next(new ErrorResponse('Decision must be approve or reject', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`No user with the id of ${req.params.id}`, 404));
+  }
+
+  if (!user.reliabilityAppeal || user.reliabilityAppeal.status !== 'pending') {
+    return next(new ErrorResponse('This user has no pending appeal', 400));
+  }
+
+  user.reliabilityAppeal.status = decision === 'approve' ? 'approved' : 'rejected';
+  user.reliabilityAppeal.resolvedAt = Date.now();
+  user.reliabilityAppeal.resolvedBy = req.user.id;
+  user.reliabilityAppeal.adminNote = note;
+
+  if (decision === 'approve') {
+    // Lift the restriction and forgive the strikes that caused it,
+    // so the next no-show doesn't immediately restrict them again
+    user.bookingRestriction = undefined;
+
+    const windowStart = new Date(
+      Date.now() - bookingConfig.noShowStrikeWindowDays * 24 * 60 * 60 * 1000
+    );
+    await Booking.updateMany(
+      {
+        user: user._id,
+        isNoShow: true,
+        noShowForgiven: { $ne: true },
+        expiredAt: { $gte: windowStart }
+      },
+      { $set: { noShowForgiven: true } }
+    );
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  await notify({
+    user: user._id,
+    title: decision === 'approve' ? 'Appeal Approved' : 'Appeal Rejected',
+    message: decision === 'approve'
+      ? 'Your appeal was approved. You can make bookings again.'
+      : `Your appeal was rejected${note ? `: ${note}` : ''}`,
+    type: 'account_alert',
+    relatedEntity: {
+      entityType: 'user',
+      entityId: user._id
+    },
+    priority: 'medium'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reliabilityAppeal: user.reliabilityAppeal,
+      bookingRestriction: user.bookingRestriction || null,
+      reliability: await getReliability(user._id)
+    }
+  });
+});
@@ -0,0 +1,346 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const walletConfig = require('../config/wallet');
+const { getProvider } = require('../utils/payments');
+const { notify } = require('../utils/notificationDispatcher');
+const {
+  roundAmount,
+  getWallet,
+  postTransaction,
+  getLedgerBalance
+} = require('../utils/wallet');
+
+const MAX_PAGE_SIZE = 100;
+
+// What a transaction did to the user's own balances
+const toStatementLine = (transaction) => {
+  const userEntries = transaction.entries.filter(entry => entry.user);
+  const amountOf = (suffix) => roundAmount(
+    userEntries
+      .filter(entry => entry.account.endsWith(suffix))
+      .reduce((sum, entry) => sum + entry.amount, 0)
+  );
+
+  return {
+    _id: transaction._id,
+    type: transaction.type,
+    cash: amountOf(':cash'),
+    promo: amountOf(':promo'),
+    balanceAfter: transaction.balanceAfter,
+    promoBalanceAfter: transaction.promoBalanceAfter,
+    booking: transaction.booking,
+    payment: transaction.payment,
+    description: transaction.description,
+    createdAt: transaction.createdAt
+  };
+};
+
+const getStatement = async (userId, query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find({ user: userId })
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WalletTransaction.countDocuments({ user: userId })
+  ]);
+
+  return {
+    count: transactions.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: transactions.map(toStatementLine)
+  };
+};
+
+// Validate an admin credit/debit amount
+const parseAdminAmount = (value) => {
+  const amount = roundAmount(Number(value));
+  if (!Number.isFinite(amount) || amount === 0) return null;
+  if (Math.abs(amount) > walletConfig.maxAdminCredit) return null;
+  return amount;
+};
+
+// @desc    Get current user's wallet
+// @route   GET /api/v1/wallet
+// @access  Private
+exports.getMyWallet = asyncHandler(async (req, res, next) => {
+  const wallet = await getWallet(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: wallet
+  });
+});
+
+// @desc    Get current user's wallet transactions
+// @route   GET /api/v1/wallet/transactions
+// @access  Private
+exports.getMyTransactions = asyncHandler(async (req, res, next) => {
+  const statement = await getStatement(req.user.id, req.query);
+
+  res.status(200).json({
+    success: true,
+    ...statement
+  });
+});
+
+// @desc    Top up the wallet by card
+// @route   POST /api/v1/wallet/topup
+// @access  Private
+exports.topUp = asyncHandler(async (req, res, next) => {
+  const amount = roundAmount(Number(req.body.amount));
+  const { cardType = 'cib' } = req.body;
+
+  if (!Number.isFinite(amount) || amount < walletConfig.minTopup || amount > walletConfig.maxTopup) {
+    return next(
+      new ErrorResponse(
+        `Top-up amount must be between ${walletConfig.minTopup} and ${walletConfig.maxTopup} DZD`,
+        400
+      )
+    );
+  }
+
+  if (!['cib', 'edahabia'].includes(cardType)) {
+    return next(new ErrorResponse('Card type must be cib or edahabia', 400));
+  }
+
+  const provider = getProvider();
+  const baseUrl = process.env.PAYMENT_CALLBACK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const orderNumber = Payment.generateOrderNumber();
+
+  const payment = await Payment.create({
+    purpose: 'wallet_topup',
+    user: req.user.id,
+    amount,
+    provider: provider.name,
+    cardType,
+    orderNumber
+  });
+
+  try {
+    const { providerOrderId, redirectUrl } = await provider.createPayment({
+      orderNumber,
+      amount,
+      currency: payment.currency,
+      returnUrl: `${baseUrl}/api/v1/payments/callback/${provider.name}`,
+      failUrl: `${baseUrl}/api/v1/payments/callback/${provider.name}`,
+      description: 'FoodSaver DZ wallet top-up',
+      language: req.user.language,
+      cardType,
+      baseUrl
+    });
+
+    payment.providerOrderId = providerOrderId;
+    payment.redirectUrl = redirectUrl;
+    await payment.save();
+  } catch (err) {
+    payment.status = 'failed';
+    payment.failedAt = Date.now();
+    payment.errorMessage = err.message;
+    await payment.save();
+
+    console.error('Error creating top-up payment:', err);
+    return next(new ErrorResponse('The payment gateway is not available, please try again', 502));
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      payment: payment._id,
+      redirectUrl: payment.redirectUrl
+    }
+  });
+});
+
+// @desc    Get a user's wallet, checked against the ledger
+// @route   GET /api/v1/wallet/users/:userId
+// @access  Private (Admin)
+exports.getUserWallet = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.userId).select('name email phone');
+
+  if (!user) {
+    return next(new ErrorResponse(`No user with the id of ${req.params.userId}`, 404));
+  }
+
+  const [wallet, ledger, statement] = await Promise.all([
+    getWallet(user._id),
+    getLedgerBalance(user._id),
+    getStatement(user._id, req.query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user,
+      wallet,
+      ledger,
+      inSync: ledger.balance === wallet.balance && ledger.promoBalance === wallet.promoBalance,
+      transactions: statement
+    }
+  });
+});
+
+// @desc    Credit or debit a user's wallet by hand
+// @route   POST /api/v1/wallet/users/:userId/adjustments
+// @access  Private (Admin)
+exports.adjustWallet = asyncHandler(async (req, res, next) => {
+  const { bucket = 'cash', reason, reference } = req.body;
+  const amount = parseAdminAmount(req.body.amount);
+
+  if (amount === null) {
+    return next(
+      new ErrorResponse(
+        `Amount must be a non-zero number of at most ${walletConfig.maxAdminCredit} DZD`,
+        400
+      )
+    );
+  }
+
+  if (!['cash', 'promo'].includes(bucket)) {
+    return next(new ErrorResponse('Bucket must be cash or promo', 400));
+  }
+
+  if (!reason) {
+    return next(new ErrorResponse('Please give a reason for the adjustment', 400));
+  }
+
+  const user = await User.findById(req.params.userId).select('_id');
+
+  if (!user) {
+    return next(new ErrorResponse(`No user with the id of ${req.params.userId}`, 404));
+  }
+
+  const transaction = await postTransaction({
+    type: bucket === 'promo' && amount > 0 ? 'promo_credit' : 'admin_adjustment',
+    userId: user._id,
+    [bucket]: amount,
+    createdBy: req.user.id,
+    description: reason,
+    // Lets support retry a request without crediting twice
+    idempotencyKey: reference ? `adjustment:${reference}:${user._id}` : undefined
+  });
+
+  if (!transaction) {
+    return next(new ErrorResponse('The wallet balance is too low for this debit', 400));
+  }
+
+  if (amount > 0) {
+    await notify({
+      user: user._id,
+      title: 'Wallet Credited',
+      message: `${amount} DZD${bucket === 'promo' ? ' of promo credit' : ''} has been added to your wallet: ${reason}`,
+      type: 'account_alert',
+      relatedEntity: {
+        entityType: 'user',
+        entityId: user._id
+      },
+      actionUrl: '/wallet',
+      priority: 'medium'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: toStatementLine(transaction)
+  });
+});
+
+// @desc    Credit customers whose bookings a seller cancelled or rejected
+// @route   POST /api/v1/wallet/compensations
+// @access  Private (Admin)
+exports.compensateCancelledBookings = asyncHandler(async (req, res, next) => {
+  const { seller, offer, since, until, bucket = 'promo', reason, reference, dryRun } = req.body;
+  const amount = parseAdminAmount(req.body.amount);
+
+  if (amount === null || amount < 0) {
+    return next(
+      new ErrorResponse(`Amount must be a positive number of at most ${walletConfig.maxAdminCredit} DZD`, 400)
+    );
+  }
+
+  if (!['cash', 'promo'].includes(bucket)) {
+    return next(new ErrorResponse('Bucket must be cash or promo', 400));
+  }
+
+  // Without a reference a retried request would credit everyone twice
+  if (!reference || !reason) {
+    return next(new ErrorResponse('Please give a reference and a reason for the compensation', 400));
+  }
+
+  if (!seller && !offer) {
+    return next(new ErrorResponse('Please choose a seller or an offer', 400));
+  }
+
+  const match = {
+    $or: [
+      { status: 'cancelled', cancelledBy: { $in: ['seller', 'admin'] } },
+      { status: 'rejected' }
+    ]
+  };
+  if (seller) match.seller = seller;
+  if (offer) match.offer = offer;
+  if (since || until) {
+    match.updatedAt = {};
+    if (since) match.updatedAt.$gte = new Date(since);
+    if (until) match.updatedAt.$lte = new Date(until);
+  }
+
+  const userIds = await Booking.distinct('user', match);
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      count: userIds.length,
+      data: { users: userIds, total: roundAmount(amount * userIds.length) }
+    });
+  }
+
+  const credited = [];
+  for (const userId of userIds) {
+    const idempotencyKey = `compensation:${reference}:${userId}`;
+
+    // Retried request: this customer was already credited
+    const existing = await WalletTransaction.findOne({ idempotencyKey });
+    if (existing) {
+      credited.push({ user: userId, transaction: existing._id, alreadyCredited: true });
+      continue;
+    }
+
+    const transaction = await postTransaction({
+      type: bucket === 'promo' ? 'promo_credit' : 'admin_adjustment',
+      userId,
+      [bucket]: amount,
+      createdBy: req.user.id,
+      description: reason,
+      idempotencyKey
+    });
+
+    await notify({
+      user: userId,
+      title: 'Wallet Credited',
+      message: `${amount} DZD${bucket === 'promo' ? ' of promo credit' : ''} has been added to your wallet: ${reason}`,
+      type: 'account_alert',
+      relatedEntity: {
+        entityType: 'user',
+        entityId: userId
+      },
+      actionUrl: '/wallet',
+      priority: 'medium'
+    });
+
+    credited.push({ user: userId, transaction: transaction._id, alreadyCredited: false });
+  }
+
+  res.status(201).json({
+    success: true,
+    count: credited.length,
+    data: credited
+  });
+});
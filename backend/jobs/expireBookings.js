@@ -0,0 +1,163 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const bookingConfig = require('../config/booking');
+const { notify } = require('../utils/notificationDispatcher');
+const { applyNoShowPolicy } = require('../utils/reliability');
+
+const BATCH_SIZE = 100;
+
+let timer = null;
+let running = false;
+
+// Expire one booking, record the no-show and notify both parties.
+// Returns the expired booking, or null if its status changed meanwhile.
+const expireBooking = async (bookingId, currentStatus) => {
+  const now = new Date();
+
+  // Status guard: a booking completed at the last second stays completed
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: currentStatus },
+    {
+      $set: { status: 'expired', expiredAt: now, isNoShow: true },
+      $push: {
+        statusHistory: {
+          from: currentStatus,
+          to: 'expired',
+          role: 'system',
+          reason: 'Not picked up before the end of the pickup window',
+          at: now
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!booking) return null;
+
+  // The pickup window is over, so the reserved quantity is written off
+  // rather than returned: nobody can book the offer anymore.
+
+  const customerId = booking.user._id || booking.user;
+  const sellerId = booking.seller._id || booking.seller;
+  const offerTitle = booking.offer && booking.offer.title ? booking.offer.title : 'your offer';
+
+  await User.findByIdAndUpdate(customerId, {
+    $inc: { noShowCount: 1 },
+    $set: { lastNoShowAt: now }
+  });
+
+  await notify({
+    user: customerId,
+    title: 'Booking Expired',
+    message: `Your booking for "${offerTitle}" expired because it was not picked up in time`,
+    type: 'booking_expired',
+    relatedEntity: {
+      entityType: 'booking',
+      entityId: booking._id
+    },
+    actionUrl: `/bookings/${booking._id}`,
+    priority: 'medium'
+  });
+
+  await notify({
+    user: sellerId,
+    title: 'Booking Not Picked Up',
+    message: `Booking #${booking._id} for "${offerTitle}" was not picked up and has expired`,
+    type: 'booking_expired',
+    relatedEntity: {
+      entityType: 'booking',
+      entityId: booking._id
+    },
+    actionUrl: `/bookings/${booking._id}`,
+    priority: 'low'
+  });
+
+  // Restrict the customer if this no-show takes them over the strike limit
+  await applyNoShowPolicy(customerId);
+
+  return booking;
+};
+
+// Expire every open booking whose offer's pickup window ended more than
+// the grace period ago. Returns the number of bookings expired.
+const expireOverdueBookings = async () => {
+  const cutoff = new Date(Date.now() - bookingConfig.expiryGraceMinutes * 60 * 1000);
+  let expired = 0;
+  let overdue;
+  let batchExpired;
+
+  do {
+    batchExpired = 0;
+    overdue = await Booking.aggregate([
+      {
+        $match: { status: { $in: ['pending', 'confirmed'] } }
+      },
+      {
+        $lookup: {
+          from: 'offers',
+          localField: 'offer',
+          foreignField: '_id',
+          as: 'offer'
+        }
+      },
+      {
+        $match: { 'offer.pickupEnd': { $lt: cutoff } }
+      },
+      {
+        $project: { _id: 1, status: 1 }
+      },
+      {
+        $limit: BATCH_SIZE
+      }
+    ]);
+
+    for (const { _id, status } of overdue) {
+      try {
+        if (await expireBooking(_id, status)) batchExpired += 1;
+      } catch (err) {
+        console.error(`Error expiring booking ${_id}:`, err);
+      }
+    }
+
+    expired += batchExpired;
+    // Stop on a full batch that made no progress instead of spinning
+  } while (overdue.length === BATCH_SIZE && batchExpired > 0);
+
+  return expired;
+};
+
+const run = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const expired = await expireOverdueBookings();
+    if (expired > 0) {
+      console.log(`Expired ${expired} overdue bookings`);
+    }
+  } catch (err) {
+    console.error('Booking expiry job error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic expiry job
+const start = () => {
+  if (!timer) {
+    timer = setInterval(run, bookingConfig.expiryJobIntervalMs);
+    setImmediate(run);
+  }
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  expireBooking,
+  expireOverdueBookings
+};
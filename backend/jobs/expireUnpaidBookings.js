@@ -0,0 +1,128 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const bookingConfig = require('../config/booking');
+const { syncPayment } = require('../utils/paymentProcessor');
+const { applyTransition } = require('../utils/bookingTransitions');
+const { notify } = require('../utils/notificationDispatcher');
+
+const BATCH_SIZE = 100;
+
+let timer = null;
+let running = false;
+
+// Expire one unpaid card booking and give its quantity back.
+// Returns the expired booking, or null if it was paid or changed meanwhile.
+const expireUnpaidBooking = async (booking) => {
+  // A payment may have gone through without its redirect or webhook
+  // reaching us, so ask the gateway one last time
+  const pendingPayments = await Payment.find({ booking: booking._id, status: 'pending' });
+  for (const payment of pendingPayments) {
+    await syncPayment(payment);
+  }
+
+  const current = await Booking.findById(booking._id);
+  if (!current || current.status !== 'pending' || current.paymentStatus === 'completed') {
+    return null;
+  }
+
+  // Unlike no-shows the pickup window is usually still open, so the
+  // quantity goes back on sale
+  const expired = await applyTransition(current, 'expired', {
+    actorRole: 'system',
+    reason: 'Payment not completed in time',
+    releaseQuantity: true
+  });
+
+  if (!expired) return null;
+
+  await Payment.updateMany(
+    { booking: expired._id, status: 'pending' },
+    { status: 'expired' }
+  );
+
+  const offerTitle = expired.offer && expired.offer.title ? expired.offer.title : 'your offer';
+
+  await notify({
+    user: expired.user._id || expired.user,
+    title: 'Booking Expired',
+    message: `Your booking for "${offerTitle}" expired because it was not paid in time`,
+    type: 'booking_expired',
+    relatedEntity: {
+      entityType: 'booking',
+      entityId: expired._id
+    },
+    actionUrl: `/bookings/${expired._id}`,
+    priority: 'medium'
+  });
+
+  return expired;
+};
+
+// Expire every pending card booking past its payment deadline.
+// Returns the number of bookings expired.
+const expireUnpaidBookings = async () => {
+  let expired = 0;
+  let overdue;
+  let batchExpired;
+
+  do {
+    batchExpired = 0;
+    overdue = await Booking.find({
+      status: 'pending',
+      paymentMethod: 'card',
+      paymentStatus: { $ne: 'completed' },
+      paymentDueAt: { $lt: new Date() }
+    })
+      .select('_id status')
+      .limit(BATCH_SIZE);
+
+    for (const booking of overdue) {
+      try {
+        if (await expireUnpaidBooking(booking)) batchExpired += 1;
+      } catch (err) {
+        console.error(`Error expiring unpaid booking ${booking._id}:`, err);
+      }
+    }
+
+    expired += batchExpired;
+    // Stop on a full batch that made no progress instead of spinning
+  } while (overdue.length === BATCH_SIZE && batchExpired > 0);
+
+  return expired;
+};
+
+const run = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const expired = await expireUnpaidBookings();
+    if (expired > 0) {
+      console.log(`Expired ${expired} unpaid bookings`);
+    }
+  } catch (err) {
+    console.error('Unpaid booking expiry job error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic expiry job
+const start = () => {
+  if (!timer) {
+    timer = setInterval(run, bookingConfig.paymentExpiryJobIntervalMs);
+    setImmediate(run);
+  }
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  expireUnpaidBooking,
+  expireUnpaidBookings
+};
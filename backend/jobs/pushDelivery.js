@@ -0,0 +1,158 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendPush } = require('../utils/push');
+
+const INTERVAL_MS = parseInt(process.env.PUSH_WORKER_INTERVAL_MS, 10) || 30000;
+const BATCH_SIZE = parseInt(process.env.PUSH_WORKER_BATCH_SIZE, 10) || 50;
+const MAX_ATTEMPTS = parseInt(process.env.PUSH_MAX_ATTEMPTS, 10) || 3;
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+// Deliver one notification to every push token of its user,
+// prune tokens the provider reports as invalid and record the outcome.
+const deliverNotification = async (notification) => {
+  const user = await User.findById(notification.user).select('+pushTokens');
+  const pushTokens = user ? user.pushTokens : [];
+  const now = new Date();
+
+  if (pushTokens.length === 0) {
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { 'delivery.push.status': 'skipped', 'delivery.push.lastAttemptAt': now } }
+    );
+    return 'skipped';
+  }
+
+  const results = await sendPush(pushTokens, {
+    title: notification.title,
+    body: notification.message,
+    data: {
+      notificationId: notification._id.toString(),
+      type: notification.type,
+      ...(notification.actionUrl && { actionUrl: notification.actionUrl })
+    }
+  });
+
+  const invalidTokens = results.filter(r => r.invalid).map(r => r.token);
+  const deliveredTokens = results.filter(r => r.ok).map(r => r.token);
+
+  if (invalidTokens.length > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { pushTokens: { token: { $in: invalidTokens } } } }
+    );
+  }
+
+  if (deliveredTokens.length > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'pushTokens.$[t].lastUsedAt': now } },
+      { arrayFilters: [{ 't.token': { $in: deliveredTokens } }] }
+    );
+  }
+
+  const attempts = (notification.delivery && notification.delivery.push
+    ? notification.delivery.push.attempts
+    : 0) + 1;
+
+  let status;
+  if (deliveredTokens.length > 0) {
+    status = 'sent';
+  } else if (invalidTokens.length === results.length || attempts >= MAX_ATTEMPTS) {
+    // Nothing left to retry with, or out of retries
+    status = 'failed';
+  } else {
+    status = 'pending';
+  }
+
+  const failures = results.filter(r => !r.ok).map(r => r.error);
+
+  await Notification.updateOne(
+    { _id: notification._id },
+    {
+      $set: {
+        'delivery.push.status': status,
+        'delivery.push.attempts': attempts,
+        'delivery.push.lastAttemptAt': now,
+        ...(status === 'sent' && { 'delivery.push.sentAt': now }),
+        ...(failures.length > 0 && { 'delivery.push.error': failures[0] })
+      }
+    }
+  );
+
+  return status;
+};
+
+// Deliver every notification that is due and still pending
+const processPending = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+
+  running = true;
+
+  try {
+    do {
+      rerun = false;
+
+      const notifications = await Notification.find({
+        'delivery.push.status': 'pending',
+        'delivery.push.attempts': { $lt: MAX_ATTEMPTS },
+        scheduledAt: { $lte: new Date() },
+        // Wait at least one interval before retrying a failed attempt
+        $and: [{
+          $or: [
+            { 'delivery.push.lastAttemptAt': { $exists: false } },
+            { 'delivery.push.lastAttemptAt': { $lte: new Date(Date.now() - INTERVAL_MS) } }
+          ]
+        }]
+      })
+        .sort('scheduledAt')
+        .limit(BATCH_SIZE);
+
+      for (const notification of notifications) {
+        try {
+          await deliverNotification(notification);
+        } catch (err) {
+          console.error(`Error delivering push for notification ${notification._id}:`, err);
+        }
+      }
+
+      // A full batch means there may be more waiting
+      if (notifications.length === BATCH_SIZE) rerun = true;
+    } while (rerun);
+  } catch (err) {
+    console.error('Push delivery worker error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+// Ask the worker to run now (used when a notification is created)
+const kick = () => {
+  if (timer) setImmediate(processPending);
+};
+
+// Start polling for pending notifications
+const start = () => {
+  if (!timer) {
+    timer = setInterval(processPending, INTERVAL_MS);
+    setImmediate(processPending);
+  }
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  kick,
+  processPending,
+  deliverNotification
+};
@@ -0,0 +1,238 @@
+const Booking = require('../models/Booking');
+const Payout = require('../models/Payout');
+const Store = require('../models/Store');
+const payoutConfig = require('../config/payouts');
+const { notify } = require('../utils/notificationDispatcher');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Start and end of the settlement period containing `date`
+const getPeriodBounds = (date, period = payoutConfig.period) => {
+  if (period === 'monthly') {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    return { start, end };
+  }
+
+  // Weeks run Monday to Monday
+  const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  const start = new Date(midnight - daysSinceMonday * DAY_MS);
+  return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+};
+
+// Most recent period that ended at least the settlement delay ago
+const getLastSettleablePeriod = (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - payoutConfig.settlementDelayHours * HOUR_MS);
+  const { start: end } = getPeriodBounds(cutoff);
+  const { start } = getPeriodBounds(new Date(end.getTime() - 1));
+  return { start, end };
+};
+
+const getCommissionRate = (store) =>
+  store && typeof store.commissionRate === 'number'
+    ? store.commissionRate
+    : payoutConfig.defaultCommissionRate;
+
+// Work out a store's statement line from its period totals
+const buildStatement = (totals, commissionRate) => {
+  const gross = roundAmount(totals.gross);
+  const refunds = roundAmount(totals.refunds);
+  const onlineGross = roundAmount(totals.onlineGross);
+  const platformDiscounts = roundAmount(totals.platformDiscounts);
+  // The cut is taken on the full price of what the customer kept, including
+  // the part of it the platform paid for with a promo code
+  const commission = roundAmount((gross + platformDiscounts - refunds) * commissionRate / 100);
+
+  return {
+    bookingCount: totals.bookingCount,
+    gross,
+    cashGross: roundAmount(totals.cashGross),
+    onlineGross,
+    platformDiscounts,
+    refunds,
+    commissionRate,
+    commission,
+    net: roundAmount(onlineGross + platformDiscounts - refunds - commission)
+  };
+};
+
+const STATEMENT_AMOUNTS = [
+  'bookingCount',
+  'gross',
+  'cashGross',
+  'onlineGross',
+  'platformDiscounts',
+  'refunds',
+  'commission',
+  'net'
+];
+
+// A seller's totals over their stores' lines
+const sumStatements = (lines) =>
+  Object.fromEntries(STATEMENT_AMOUNTS.map(field => [
+    field,
+    roundAmount(lines.reduce((sum, line) => sum + line[field], 0))
+  ]));
+
+// Settle every completed booking not on a statement yet that was completed
+// before `periodEnd`, one payout per seller with a line per store, each at
+// its own commission rate. Bookings left over from earlier periods are swept
+// into this one. Returns the payouts created.
+const settlePeriod = async ({ start: periodStart, end: periodEnd }) => {
+  const totalsByStore = await Booking.aggregate([
+    {
+      $match: {
+        status: 'completed',
+        payout: null,
+        completedAt: { $lt: periodEnd }
+      }
+    },
+    {
+      $group: {
+        _id: { seller: '$seller', store: '$store' },
+        bookings: { $push: '$_id' },
+        bookingCount: { $sum: 1 },
+        gross: { $sum: '$totalPrice' },
+        cashGross: {
+          $sum: { $cond: [{ $in: ['$paymentMethod', ['card', 'wallet']] }, 0, '$totalPrice'] }
+        },
+        onlineGross: {
+          $sum: { $cond: [{ $in: ['$paymentMethod', ['card', 'wallet']] }, '$totalPrice', 0] }
+        },
+        platformDiscounts: {
+          $sum: {
+            $cond: [
+              { $eq: ['$discount.fundedBy', 'platform'] },
+              { $ifNull: ['$discount.amount', 0] },
+              0
+            ]
+          }
+        },
+        refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } }
+      }
+    },
+    {
+      $sort: { '_id.seller': 1, '_id.store': 1 }
+    }
+  ]);
+
+  const stores = await Store.find({
+    _id: { $in: totalsByStore.map(totals => totals._id.store) }
+  }).select('commissionRate');
+  const storesById = new Map(stores.map(store => [store._id.toString(), store]));
+
+  // Gather each seller's stores
+  const sellers = new Map();
+  for (const totals of totalsByStore) {
+    const sellerId = totals._id.seller.toString();
+    if (!sellers.has(sellerId)) {
+      sellers.set(sellerId, { seller: totals._id.seller, lines: [], bookings: [] });
+    }
+
+    const entry = sellers.get(sellerId);
+    const store = storesById.get(totals._id.store.toString());
+    entry.lines.push({
+      store: totals._id.store,
+      ...buildStatement(totals, getCommissionRate(store))
+    });
+    entry.bookings.push(...totals.bookings);
+  }
+
+  const payouts = [];
+
+  for (const { seller, lines, bookings } of sellers.values()) {
+    let payout;
+    try {
+      payout = await Payout.create({
+        seller,
+        periodStart,
+        periodEnd,
+        ...sumStatements(lines),
+        stores: lines,
+        bookings,
+        statusHistory: [{ status: 'pending', note: 'Period settled' }]
+      });
+    } catch (err) {
+      // Already settled: its stragglers go on the next statement
+      if (err.code === 11000) continue;
+      throw err;
+    }
+
+    const claimed = await Booking.updateMany(
+      { _id: { $in: bookings }, payout: null },
+      { payout: payout._id }
+    );
+
+    if (claimed.modifiedCount !== bookings.length) {
+      console.warn(
+        `Payout ${payout._id} lists ${bookings.length} bookings but claimed ${claimed.modifiedCount}`
+      );
+    }
+
+    await notify({
+      user: seller,
+      title: 'Payout Statement Ready',
+      message: `Your statement for ${periodStart.toISOString().slice(0, 10)} to ${periodEnd.toISOString().slice(0, 10)} is ready: ${payout.bookingCount} bookings, ${payout.net} DZD net`,
+      type: 'payout_update',
+      relatedEntity: {
+        entityType: 'payout',
+        entityId: payout._id
+      },
+      actionUrl: `/seller/payouts/${payout._id}`,
+      priority: 'medium'
+    });
+
+    payouts.push(payout);
+  }
+
+  return payouts;
+};
+
+// Settle the last period that is due
+const settlePayouts = (now = new Date()) => settlePeriod(getLastSettleablePeriod(now));
+
+const run = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const payouts = await settlePayouts();
+    if (payouts.length > 0) {
+      console.log(`Created ${payouts.length} payout statements`);
+    }
+  } catch (err) {
+    console.error('Payout settlement job error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic settlement job
+const start = () => {
+  if (!timer) {
+    timer = setInterval(run, payoutConfig.jobIntervalMs);
+    setImmediate(run);
+  }
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  getPeriodBounds,
+  getLastSettleablePeriod,
+  getCommissionRate,
+  settlePeriod,
+  settlePayouts
+};
@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Query string keys that shape the results instead of filtering them
+const RESERVED_PARAMS = ['select', 'sort', 'page', 'limit'];
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const MAX_IN_VALUES = 50;
+const MAX_STRING_LENGTH = 100;
+
+// Turn one query string value into a value of the field's type.
+// Returns undefined when it isn't one.
+const castValue = (spec, raw) => {
+  if (typeof raw !== 'string') return undefined;
+
+  switch (spec.type) {
+    case 'number': {
+      const number = Number(raw);
+      return raw.trim() !== '' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'date': {
+      const date = new Date(raw);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    case 'boolean':
+      if (raw === 'true') return true;
+      if (raw === 'false') return false;
+      return undefined;
+    case 'objectId':
+      return mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : undefined;
+    default:
+      if (raw.length > MAX_STRING_LENGTH) return undefined;
+      if (spec.values && !spec.values.includes(raw)) return undefined;
+      return raw;
+  }
+};
+
+// Build the Mongo condition for one whitelisted field from its query value:
+// `?price=10`, `?price[gte]=10&price[lt]=20`, `?status[in]=a,b` or `?status=a&status=b`
+const buildCondition = (field, spec, raw) => {
+  const castAll = (values) => {
+    if (values.length > MAX_IN_VALUES) {
+      throw new ErrorResponse(`Filter ${field} accepts at most ${MAX_IN_VALUES} values`, 400);
+    }
+    return values.map(value => {
+      const cast = castValue(spec, value);
+      if (cast === undefined) {
+        throw new ErrorResponse(`Invalid value for filter ${field}`, 400);
+      }
+      return cast;
+    });
+  };
+
+  if (Array.isArray(raw)) {
+    return { $in: castAll(raw) };
+  }
+
+  if (raw && typeof raw === 'object') {
+    const condition = {};
+
+    for (const [operator, value] of Object.entries(raw)) {
+      if (operator === 'in') {
+        condition.$in = castAll(String(value).split(','));
+      } else if (RANGE_OPERATORS.includes(operator) && ['number', 'date'].includes(spec.type)) {
+        [condition[`$${operator}`]] = castAll([value]);
+      } else {
+        throw new ErrorResponse(`Operator ${operator} is not supported on ${field}`, 400);
+      }
+    }
+
+    return condition;
+  }
+
+  const [value] = castAll([raw]);
+  return value;
+};
+
+const normalizeSpec = (spec) => (typeof spec === 'string' ? { type: spec } : spec);
+
+// Top-level fields clients may ask for with ?select=
+const getSelectableFields = (model, hiddenFields) => {
+  const fields = new Set();
+
+  model.schema.eachPath((path, schemaType) => {
+    const [root] = path.split('.');
+    if (schemaType.options && schemaType.options.select === false) return;
+    if (hiddenFields.includes(root) || root === '__v') return;
+    fields.add(root);
+  });
+
+  return fields;
+};
+
+const parseList = (value) =>
+  String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Link header (RFC 8288) for the other pages of the same query
+const buildLinkHeader = (req, page, pages, limit) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  // Show the page size actually used, not an over-the-cap request
+  if (url.searchParams.has('limit')) url.searchParams.set('limit', limit);
+  const linkTo = (target, rel) => {
+    url.searchParams.set('page', target);
+    return `<${url.pathname}${url.search}>; rel="${rel}"`;
+  };
+
+  const links = [linkTo(1, 'first')];
+  if (page > 1) links.push(linkTo(Math.min(page - 1, pages), 'prev'));
+  if (page < pages) links.push(linkTo(page + 1, 'next'));
+  links.push(linkTo(Math.max(pages, 1), 'last'));
+
+  return links.join(', ');
+};
+
+// Filter, sort, select and page a model's documents from the query string,
+// and leave the result on res.advancedResults for the controller to send.
+//
+// Only whitelisted fields can be filtered or sorted on, and each filter value
+// is cast to the field's type, so query strings can't smuggle operators in.
+//
+// Options:
+//   filters        { field: type } or { field: { type, path, values } } where
+//                  type is string, number, date, boolean or objectId
+//   sort           fields clients may sort on
+//   defaultSort    sort used when the client gives none
+//   populate       populate argument(s) applied to every query
+//   baseFilter     conditions always applied, on top of the client's; or a
+//                  function of the request returning them
+//   hiddenFields   never returned or selectable
+//   defaultLimit / maxLimit   page size and its cap
+//   skipWhenParams route params that mean a nested listing the controller
+//                  handles itself
+const advancedResults = (model, {
+  filters = {},
+  sort: sortable = ['createdAt'],
+  defaultSort = '-createdAt',
+  populate,
+  baseFilter = {},
+  hiddenFields = [],
+  defaultLimit = 25,
+  maxLimit = 100,
+  skipWhenParams = []
+} = {}) => {
+  const selectable = getSelectableFields(model, hiddenFields);
+  const hiddenSelect = hiddenFields.map(field => `-${field}`).join(' ');
+
+  return async (req, res, next) => {
+    if (skipWhenParams.some(param => req.params[param])) {
+      return next();
+    }
+
+    try {
+      // Filters
+      let filter = {};
+
+      for (const [param, raw] of Object.entries(req.query)) {
+        if (RESERVED_PARAMS.includes(param) || !filters[param]) continue;
+
+        const spec = normalizeSpec(filters[param]);
+        filter[spec.path || param] = buildCondition(param, spec, raw);
+      }
+
+      // Clients can narrow the base filter down but never widen it
+      const base = typeof baseFilter === 'function' ? baseFilter(req) : baseFilter;
+      if (Object.keys(filter).length > 0 && Object.keys(base).length > 0) {
+        filter = { $and: [filter, base] };
+      } else if (Object.keys(base).length > 0) {
+        filter = base;
+      }
+
+      // Field selection
+      let select = hiddenSelect;
+
+      if (req.query.select) {
+        const fields = parseList(req.query.select);
+        const excluding = fields.every(field => field.startsWith('-'));
+
+        if (!excluding && fields.some(field => field.startsWith('-'))) {
+          return next(new ErrorResponse('Cannot mix included and excluded fields in select', 400));
+        }
+
+        const unknown = fields.find(field => !selectable.has(field.replace(/^-/, '')));
+        if (unknown) {
+          return next(new ErrorResponse(`Cannot select field ${unknown.replace(/^-/, '')}`, 400));
+        }
+
+        select = excluding ? `${fields.join(' ')} ${hiddenSelect}`.trim() : fields.join(' ');
+      }
+
+      // Sorting
+      let sortBy = defaultSort;
+
+      if (req.query.sort) {
+        const fields = parseList(req.query.sort);
+        const unknown = fields.find(field => !sortable.includes(field.replace(/^-/, '')));
+
+        if (unknown) {
+          return next(new ErrorResponse(`Cannot sort by ${unknown.replace(/^-/, '')}`, 400));
+        }
+
+        sortBy = fields.join(' ');
+      }
+
+      // Pagination
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || defaultLimit, 1), maxLimit);
+      const startIndex = (page - 1) * limit;
+
+      let query = model.find(filter)
+        .select(select)
+        // Tie-break on _id so pages don't overlap when sort values repeat
+        .sort(`${sortBy} _id`)
+        .skip(startIndex)
+        .limit(limit);
+
+      if (populate) {
+        query = query.populate(populate);
+      }
+
+      const [results, total] = await Promise.all([query, model.countDocuments(filter)]);
+      const pages = Math.ceil(total / limit);
+
+      const pagination = { page, limit, pages };
+      if (page < pages) {
+        pagination.next = { page: page + 1, limit };
+      }
+      if (page > 1) {
+        pagination.prev = { page: Math.min(page - 1, Math.max(pages, 1)), limit };
+      }
+
+      // Appended, as the deprecated /api alias has already set a Link
+      res.append('Link', buildLinkHeader(req, page, pages, limit));
+      res.set('X-Total-Count', String(total));
+
+      res.advancedResults = {
+        success: true,
+        count: results.length,
+        total,
+        pagination,
+        data: results
+      };
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+module.exports = advancedResults;
@@ -0,0 +1,19 @@
+// Mark responses of the unversioned /api alias as deprecated and point
+// clients at the same path under `successorBase` (RFC 8594 / 9745 headers).
+// Set LEGACY_API_SUNSET to the date the alias will be removed.
+exports.deprecatedAlias = (successorBase) => (req, res, next) => {
+  // Versioned paths that matched nothing aren't alias requests
+  if (/^\/v\d+(\/|$)/.test(req.path)) {
+    return next('router');
+  }
+
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successorBase}${req.url}>; rel="successor-version"`);
+
+  const sunset = process.env.LEGACY_API_SUNSET && new Date(process.env.LEGACY_API_SUNSET);
+  if (sunset && !Number.isNaN(sunset.getTime())) {
+    res.set('Sunset', sunset.toUTCString());
+  }
+
+  next();
+};
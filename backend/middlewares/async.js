@@ -0,0 +1,5 @@
+// Pass errors thrown by async route handlers on to the error handler
+const asyncHandler = fn => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
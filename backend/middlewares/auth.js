@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -13,7 +14,7 @@ exports.protect = async (req, res, next) => {
     token = req.headers.authorization.split(' ')[1];
   }
   // Set token from cookie
-  else if (req.cookies.token) {
+  else if (req.cookies && req.cookies.token) {
     token = req.cookies.token;
   }
 
@@ -23,9 +24,14 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.user.id).select('-password');
+    const result = await exports.getUserFromToken(token);
+
+    if (!result) {
+      return res.status(401).json({ message: 'Not authorized to access this route' });
+    }
+
+    req.user = result.user;
+    req.sessionId = result.sessionId;
     next();
   } catch (err) {
     console.error(err);
@@ -33,6 +39,33 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Verify an access token and load its user.
+// Resolves to { user, sessionId }, or null when the token's session has
+// been revoked or its user no longer exists. Throws if the JWT is invalid.
+// Shared by HTTP routes and the Socket.IO handshake.
+exports.getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  let sessionId;
+
+  // Reject tokens whose session has been revoked
+  if (decoded.session) {
+    const session = await Session.findOne({
+      _id: decoded.session,
+      revokedAt: { $exists: false }
+    });
+
+    if (!session) return null;
+
+    sessionId = session.id;
+  }
+
+  const user = await User.findById(decoded.user.id).select('-password');
+
+  if (!user) return null;
+
+  return { user, sessionId };
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
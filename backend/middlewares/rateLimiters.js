@@ -0,0 +1,21 @@
+const rateLimit = require('express-rate-limit');
+
+// Limit per signed-in user when there is one, so sellers behind the same
+// shop wifi don't share a bucket
+const userOrIpKey = (req) => (req.user ? `user_${req.user.id}` : req.ip);
+
+// Pickup codes are only 6 characters, so guessing them must stay slow
+exports.pickupCodeLimiter = rateLimit({
+  max: parseInt(process.env.PICKUP_CODE_RATE_LIMIT, 10) || 30,
+  windowMs: 15 * 60 * 1000,
+  keyGenerator: userOrIpKey,
+  message: { message: 'Too many pickup code attempts, please try again later' }
+});
+
+// QR scans are signed, but offline devices may sync many at once
+exports.ticketScanLimiter = rateLimit({
+  max: parseInt(process.env.PICKUP_SCAN_RATE_LIMIT, 10) || 120,
+  windowMs: 15 * 60 * 1000,
+  keyGenerator: userOrIpKey,
+  message: { message: 'Too many scans, please try again later' }
+});
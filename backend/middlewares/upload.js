@@ -0,0 +1,52 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Accepted image types and the extension each one is stored with
+const IMAGE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Single image upload stored under FILE_UPLOAD_PATH/<folder>.
+// The file is named <prefix>_<user id><ext>, so a new upload replaces the old one.
+// The extension comes from the checked type, never from the client's file name.
+exports.uploadImage = (folder, prefix, fieldName = 'file') => {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(process.env.FILE_UPLOAD_PATH || './public/uploads', folder);
+      fs.mkdir(dir, { recursive: true }, err => cb(err, dir));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${prefix}_${req.user.id}${IMAGE_TYPES[file.mimetype]}`);
+    }
+  });
+
+  const upload = multer({
+    storage,
+    limits: { fileSize: parseInt(process.env.MAX_FILE_UPLOAD, 10) || 1000000 },
+    fileFilter: (req, file, cb) => {
+      // Only JPEG, PNG and WebP photos, with a matching file name
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (!IMAGE_TYPES[file.mimetype] || !IMAGE_EXTENSIONS.includes(extension)) {
+        return cb(new ErrorResponse('Please upload a JPEG, PNG or WebP image', 400));
+      }
+      cb(null, true);
+    }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, err => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `Please upload an image less than ${(parseInt(process.env.MAX_FILE_UPLOAD, 10) || 1000000) / 1000}KB`
+          : err.message;
+        return next(new ErrorResponse(message, 400));
+      }
+      next(err);
+    });
+  };
+};
@@ -1,4 +1,32 @@
 const mongoose = require('mongoose');
+const { emitBookingUpdate } = require('../utils/realtime');
+
+// One entry per status change. Entries are only ever appended.
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'expired', 'rejected', null]
+  },
+  to: {
+    type: String,
+    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'expired', 'rejected'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['user', 'seller', 'admin', 'system'],
+    required: true
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   offer: {
@@ -16,6 +44,10 @@ const bookingSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Booking must have a seller']
   },
+  store: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Store'
+  },
   quantity: {
     type: Number,
     required: [true, 'Please specify the quantity'],
@@ -25,6 +57,21 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Booking must have a total price']
   },
+  // Promo code taken off the price; totalPrice is what's left to pay
+  discount: {
+    promoCode: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,
+    amount: Number,
+    fundedBy: {
+      type: String,
+      enum: ['platform', 'seller']
+    },
+    // Given back when the booking was cancelled, rejected or went unpaid
+    released: Boolean
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'completed', 'cancelled', 'expired', 'rejected'],
@@ -48,21 +95,66 @@ const bookingSchema = new mongoose.Schema({
     maxlength: [500, 'Review cannot be more than 500 characters']
   },
   reviewedAt: Date,
+  confirmedAt: Date,
+  completedAt: Date,
+  // When the seller scanned the ticket; earlier than completedAt for offline scans
+  pickedUpAt: Date,
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Rejection reason cannot be more than 500 characters']
+  },
+  expiredAt: Date,
+  // Set when the booking expired without the customer picking it up
+  isNoShow: {
+    type: Boolean,
+    default: false
+  },
+  // Set when an admin upholds the customer's appeal against the no-show
+  noShowForgiven: {
+    type: Boolean,
+    default: false
+  },
   cancellationReason: String,
+  cancelledAt: Date,
   cancelledBy: {
     type: String,
-    enum: ['user', 'seller', 'system']
+    enum: ['user', 'seller', 'admin', 'system']
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'refunded', 'failed'],
+    enum: ['pending', 'completed', 'partially_refunded', 'refunded', 'failed'],
     default: 'pending'
   },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   paymentMethod: {
     type: String,
     enum: ['cash', 'card', 'wallet', 'other'],
     default: 'cash'
   },
+  // Latest successful payment, and the deadline to pay card bookings
+  payment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payment'
+  },
+  paymentDueAt: Date,
+  // Ledger transaction that paid a wallet booking
+  walletTransaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'WalletTransaction'
+  },
+  // Seller payout statement this completed booking was settled on
+  payout: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payout'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -77,7 +169,20 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ offer: 1, user: 1 });
 bookingSchema.index({ user: 1, status: 1 });
 bookingSchema.index({ seller: 1, status: 1 });
+bookingSchema.index({ store: 1, status: 1 });
+bookingSchema.index({ status: 1, paymentMethod: 1, paymentDueAt: 1 });
+bookingSchema.index({ status: 1, payout: 1, completedAt: 1 });
+bookingSchema.index({ 'discount.promoCode': 1, user: 1 });
 bookingSchema.index({ pickupCode: 1 }, { unique: true });
+// One open booking per customer and offer. addBooking relies on it to
+// enforce its per-customer limits when requests arrive in parallel.
+bookingSchema.index(
+  { user: 1, offer: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['pending', 'confirmed'] } }
+  }
+);
 
 // Static method to generate a unique pickup code
 bookingSchema.statics.generatePickupCode = async function() {
@@ -103,27 +208,47 @@ bookingSchema.statics.generatePickupCode = async function() {
   return code;
 };
 
-// Middleware to update offer's available quantity when booking is created
+// Middleware to return the quantity to the offer when a booking is cancelled
+// or rejected. Quantity is taken when the booking is created, with Offer.reserve.
 bookingSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    // Update offer's available quantity
-    await this.model('Offer').findByIdAndUpdate(
-      this.offer,
-      { $inc: { availableQuantity: -this.quantity } }
-    );
+  if (
+    !this.isNew &&
+    this.isModified('status') &&
+    ['cancelled', 'rejected'].includes(this.status)
+  ) {
+    await this.model('Offer').release(this.offer, this.quantity);
   }
   
-  // If booking is being cancelled, return the quantity to available
-  if (this.isModified('status') && this.status === 'cancelled') {
-    await this.model('Offer').findByIdAndUpdate(
-      this.offer,
-      { $inc: { availableQuantity: this.quantity } }
-    );
+  next();
+});
+
+// Keep the status history append-only: queries may $push to it but never
+// overwrite, pull or unset existing entries
+bookingSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const touchesHistory = Object.keys(update).some(key =>
+    key === 'statusHistory' ||
+    key.startsWith('statusHistory.') ||
+    (key.startsWith('$') && key !== '$push' && update[key] &&
+      Object.keys(update[key]).some(field => field.startsWith('statusHistory')))
+  );
+
+  if (touchesHistory) {
+    return next(new Error('Booking status history is append-only'));
   }
-  
+
   next();
 });
 
+// Broadcast every booking change to the customer and the seller
+bookingSchema.post('save', function(doc) {
+  emitBookingUpdate(doc);
+});
+
+bookingSchema.post('findOneAndUpdate', function(doc) {
+  if (doc) emitBookingUpdate(doc);
+});
+
 // Middleware to handle booking completion
 bookingSchema.post('save', async function(doc) {
   // If booking is completed and has a rating, update the offer's average rating
@@ -22,15 +22,20 @@ const notificationSchema = new mongoose.Schema({
       'booking_created',
       'booking_confirmed',
       'booking_cancelled',
+      'booking_rejected',
       'booking_completed',
+      'booking_expired',
       'offer_expired',
       'new_offer',
       'new_review',
       'promotion',
       'system_update',
       'account_alert',
+      'admin_alert',
       'payment_received',
       'payment_failed',
+      'payment_refunded',
+      'payout_update',
       'announcement',
       'other'
     ]
@@ -42,7 +47,7 @@ const notificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['booking', 'offer', 'store', 'user', 'review', 'payment', 'system']
+      enum: ['booking', 'offer', 'store', 'user', 'review', 'payment', 'payout', 'system']
     },
     entityId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -74,6 +79,38 @@ const notificationSchema = new mongoose.Schema({
     type: Map,
     of: String,
     default: {}
+  },
+  delivery: {
+    push: {
+      status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed', 'skipped'],
+        default: 'pending'
+      },
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastAttemptAt: Date,
+      sentAt: Date,
+      error: String
+    },
+    email: {
+      status: {
+        type: String,
+        enum: ['sent', 'failed', 'skipped']
+      },
+      sentAt: Date,
+      error: String
+    },
+    sms: {
+      status: {
+        type: String,
+        enum: ['sent', 'failed', 'skipped']
+      },
+      sentAt: Date,
+      error: String
+    }
   }
 }, {
   timestamps: true,
@@ -86,6 +123,7 @@ notificationSchema.index({ user: 1, isRead: 1 });
 notificationSchema.index({ 'relatedEntity.entityType': 1, 'relatedEntity.entityId': 1 });
 notificationSchema.index({ createdAt: -1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+notificationSchema.index({ 'delivery.push.status': 1, scheduledAt: 1 });
 
 // Static method to create a notification
 notificationSchema.statics.createNotification = async function(notificationData) {
@@ -96,6 +134,10 @@ notificationSchema.statics.createNotification = async function(notificationData)
     if (process.io && notification.user) {
       process.io.to(`user_${notification.user}`).emit('new_notification', notification);
     }
+
+    // Push right away instead of waiting for the next worker run.
+    // Required here to avoid a circular dependency with the worker.
+    require('../jobs/pushDelivery').kick();
     
     return notification;
   } catch (error) {
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { emitOfferUpdate } = require('../utils/realtime');
+const { buildSearchFields, updateTouches } = require('../utils/search');
+
+// Offer fields the search fields are built from
+const SEARCHED_FIELDS = ['title', 'description', 'category', 'store'];
 
 const offerSchema = new mongoose.Schema({
   title: {
@@ -97,6 +102,15 @@ const offerSchema = new mongoose.Schema({
     zipcode: String,
     country: String
   },
+  // Copied from the store so offers can be searched by where they are
+  storeName: String,
+  storeCity: String,
+  // Normalized words and trigrams, see utils/search
+  search: {
+    tokens: { type: [String], select: false },
+    primary: { type: [String], select: false },
+    grams: { type: [String], select: false }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -117,6 +131,8 @@ const offerSchema = new mongoose.Schema({
 
 // Create geospatial index for location-based queries
 offerSchema.index({ location: '2dsphere' });
+offerSchema.index({ 'search.tokens': 1 });
+offerSchema.index({ 'search.grams': 1 });
 
 // Reverse populate with virtuals
 offerSchema.virtual('bookings', {
@@ -127,7 +143,7 @@ offerSchema.virtual('bookings', {
 });
 
 // Cascade delete bookings when an offer is deleted
-offerSchema.pre('remove', async function(next) {
+offerSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   await this.model('Booking').deleteMany({ offer: this._id });
   next();
 });
@@ -170,6 +186,105 @@ offerSchema.statics.getAverageRating = async function(offerId) {
   }
 };
 
+// Static method to atomically reserve quantity on an offer.
+// The guard and the decrement happen in a single update, so concurrent
+// bookings can never take more than what is available.
+// Returns the updated offer, or null if it can't cover the quantity.
+offerSchema.statics.reserve = async function(offerId, quantity) {
+  return this.findOneAndUpdate(
+    {
+      _id: offerId,
+      isActive: true,
+      availableQuantity: { $gte: quantity },
+      pickupEnd: { $gt: new Date() }
+    },
+    { $inc: { availableQuantity: -quantity } },
+    { new: true }
+  );
+};
+
+// Static method to give reserved quantity back to an offer,
+// never going above the offer's total quantity
+offerSchema.statics.release = async function(offerId, quantity) {
+  return this.findOneAndUpdate(
+    { _id: offerId },
+    [{
+      $set: {
+        availableQuantity: {
+          $min: ['$quantity', { $add: ['$availableQuantity', quantity] }]
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
+// Static method to change an offer's total quantity. The bags still
+// available move by the same amount within the update, so bags reserved
+// meanwhile stay reserved; they never go below zero.
+offerSchema.statics.resize = async function(offerId, quantity) {
+  return this.findOneAndUpdate(
+    { _id: offerId },
+    [{
+      $set: {
+        availableQuantity: {
+          $max: [0, {
+            $add: ['$availableQuantity', { $subtract: [quantity, '$quantity'] }]
+          }]
+        },
+        quantity
+      }
+    }],
+    { new: true }
+  );
+};
+
+const getSearchFields = (offer, store) => {
+  const storeName = store ? store.name : undefined;
+  const storeCity = store && store.location ? store.location.city : undefined;
+
+  return {
+    storeName,
+    storeCity,
+    search: buildSearchFields({
+      primary: [offer.title, storeName, storeCity],
+      secondary: [offer.category, offer.description]
+    })
+  };
+};
+
+// Rebuild the search fields of the offers matching `filter`, e.g. after
+// their store was renamed or moved
+offerSchema.statics.refreshSearch = async function(filter) {
+  const offers = await this.find(filter)
+    .select(SEARCHED_FIELDS.join(' '))
+    .populate('store', 'name location.city');
+
+  if (offers.length === 0) return;
+
+  await this.bulkWrite(offers.map(offer => ({
+    updateOne: {
+      filter: { _id: offer._id },
+      update: { $set: getSearchFields(offer, offer.store) }
+    }
+  })));
+};
+
+// Keep the search fields in step with the offer
+offerSchema.pre('save', async function(next) {
+  if (this.isNew || SEARCHED_FIELDS.some(field => this.isModified(field))) {
+    const store = await this.model('Store').findById(this.store).select('name location.city');
+    this.set(getSearchFields(this, store));
+  }
+  next();
+});
+
+offerSchema.post('findOneAndUpdate', async function(doc) {
+  if (doc && updateTouches(this.getUpdate(), SEARCHED_FIELDS)) {
+    await doc.constructor.refreshSearch({ _id: doc._id });
+  }
+});
+
 // Call getAverageRating after save or update booking
 offerSchema.post('save', function() {
   this.constructor.getAverageRating(this._id);
@@ -180,4 +295,13 @@ offerSchema.post('remove', function() {
   this.constructor.getAverageRating(this._id);
 });
 
+// Broadcast availability changes (bookings, cancellations, seller edits)
+offerSchema.post('save', function(doc) {
+  emitOfferUpdate(doc);
+});
+
+offerSchema.post('findOneAndUpdate', function(doc) {
+  if (doc) emitOfferUpdate(doc);
+});
+
 module.exports = mongoose.model('Offer', offerSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const paymentSchema = new mongoose.Schema({
+  // What the money is for
+  purpose: {
+    type: String,
+    enum: ['booking', 'wallet_topup'],
+    default: 'booking'
+  },
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    required: [
+      function() { return this.purpose === 'booking'; },
+      'Payment must belong to a booking'
+    ]
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Payment must belong to a user']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please specify the amount'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'DZD'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  cardType: {
+    type: String,
+    enum: ['cib', 'edahabia'],
+    default: 'cib'
+  },
+  // Our own reference sent to the gateway
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The gateway's id for the order
+  providerOrderId: String,
+  redirectUrl: String,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'expired', 'partially_refunded', 'refunded'],
+    default: 'pending'
+  },
+  // Total refunded so far, including refunds still being sent to the gateway
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['succeeded', 'failed']
+    },
+    reason: String,
+    error: String,
+    providerResponse: mongoose.Schema.Types.Mixed,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Last raw status reply from the gateway, kept for disputes
+  providerResponse: mongoose.Schema.Types.Mixed,
+  errorMessage: String,
+  paidAt: Date,
+  failedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+paymentSchema.index({ provider: 1, providerOrderId: 1 });
+paymentSchema.index({ booking: 1, status: 1 });
+paymentSchema.index({ status: 1, expiresAt: 1 });
+// One attempt at a time per booking, or the customer could pay twice
+paymentSchema.index(
+  { booking: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'pending', booking: { $exists: true } }
+  }
+);
+
+// Static method to generate an order number the gateway accepts
+// (SATIM allows up to 10 alphanumeric characters)
+paymentSchema.statics.generateOrderNumber = function() {
+  return crypto.randomBytes(5).toString('hex').toUpperCase();
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
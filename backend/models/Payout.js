@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const payoutStatusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Totals of one of the seller's stores, at that store's commission rate
+const payoutStoreLineSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  // Rate in force when the period was settled
+  commissionRate: {
+    type: Number,
+    required: true
+  },
+  bookingCount: Number,
+  gross: Number,
+  cashGross: Number,
+  onlineGross: Number,
+  platformDiscounts: Number,
+  refunds: Number,
+  commission: Number,
+  net: Number
+}, { _id: false });
+
+// One seller's statement for one settlement period, across their stores.
+// Amounts are in DZD.
+const payoutSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Payout must belong to a seller']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'DZD'
+  },
+  bookingCount: {
+    type: Number,
+    default: 0
+  },
+  // Everything customers paid for the completed bookings
+  gross: {
+    type: Number,
+    default: 0
+  },
+  // Collected by the seller at pickup
+  cashGross: {
+    type: Number,
+    default: 0
+  },
+  // Collected by the platform by card or wallet
+  onlineGross: {
+    type: Number,
+    default: 0
+  },
+  // Promo discounts the platform makes up to the seller
+  platformDiscounts: {
+    type: Number,
+    default: 0
+  },
+  // Given back to customers on those bookings
+  refunds: {
+    type: Number,
+    default: 0
+  },
+  commission: {
+    type: Number,
+    default: 0
+  },
+  // What the platform owes the seller: online takings and platform-funded
+  // discounts, less refunds and commission. Negative when the seller owes
+  // commission on cash sales.
+  net: {
+    type: Number,
+    default: 0
+  },
+  // The totals above, store by store
+  stores: {
+    type: [payoutStoreLineSchema],
+    default: []
+  },
+  bookings: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'paid', 'failed'],
+    default: 'pending'
+  },
+  statusHistory: {
+    type: [payoutStatusChangeSchema],
+    default: []
+  },
+  // Bank transfer reference once paid
+  reference: String,
+  failureReason: String,
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+// A seller is settled once per period
+payoutSchema.index({ seller: 1, periodEnd: 1 }, { unique: true });
+payoutSchema.index({ status: 1, periodEnd: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
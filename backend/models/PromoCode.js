@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3 to 30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Please choose a discount type']
+  },
+  // Percent off for percentage codes, DZD off for fixed ones
+  discountValue: {
+    type: Number,
+    required: [true, 'Please add a discount value'],
+    min: [0, 'Discount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage discount cannot be more than 100'
+    }
+  },
+  // Cap on a percentage discount, in DZD
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order cannot be negative']
+  },
+  // Unset means unlimited
+  maxUses: {
+    type: Number,
+    min: [1, 'Maximum uses must be at least 1']
+  },
+  maxUsesPerUser: {
+    type: Number,
+    default: 1,
+    min: [1, 'Maximum uses per user must be at least 1']
+  },
+  // Bookings currently holding the code; cancelled ones give it back
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Please add an end date'],
+    validate: {
+      validator: function(value) {
+        return !this.validFrom || value > this.validFrom;
+      },
+      message: 'End date must be after the start date'
+    }
+  },
+  // Limit the code to some stores and/or store categories; empty means any
+  stores: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Store'
+  }],
+  categories: [{
+    type: String,
+    enum: ['restaurant', 'bakery', 'cafe', 'grocery', 'pastry', 'butcher', 'other']
+  }],
+  // Who pays for the discount: the platform makes it up to the seller on payouts
+  fundedBy: {
+    type: String,
+    enum: ['platform', 'seller'],
+    default: 'platform'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code by a customer, held by a booking. Each of the
+// customer's uses takes a numbered slot below the code's maxUsesPerUser, so
+// the unique index enforces the per-customer cap even for parallel bookings.
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  slot: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+promoRedemptionSchema.index({ promoCode: 1, user: 1, slot: 1 }, { unique: true });
+promoRedemptionSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
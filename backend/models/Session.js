@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens that have already been rotated out.
+  // Seeing one of these again means the token was stolen and replayed.
+  rotatedTokenHashes: {
+    type: [String],
+    select: false,
+    default: []
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot be more than 100 characters']
+  },
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'token_reuse', 'password_reset', 'password_changed']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ rotatedTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage and lookup
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a new raw refresh token
+const generateRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+// Refresh token lifetime in milliseconds
+const refreshTokenLifetime = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Static method to open a new session for a user.
+// Returns the session and the raw refresh token (which is never stored).
+sessionSchema.statics.start = async function(userId, { device, userAgent, ip } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: this.hashToken(refreshToken),
+    device,
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + refreshTokenLifetime())
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns { session, refreshToken } on success, { reused: true } when a
+// rotated-out token is presented (the session is revoked), or null.
+sessionSchema.statics.rotate = async function(refreshToken, { userAgent, ip } = {}) {
+  const tokenHash = this.hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  // Swap the token atomically so two concurrent refreshes can't both win
+  const session = await this.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: this.hashToken(newRefreshToken),
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + refreshTokenLifetime()),
+        ...(userAgent && { userAgent }),
+        ...(ip && { ip })
+      },
+      $push: { rotatedTokenHashes: tokenHash }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  // Token reuse detection: revoke the whole session
+  const compromised = await this.findOneAndUpdate(
+    { rotatedTokenHashes: tokenHash, revokedAt: { $exists: false } },
+    { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+  );
+
+  if (compromised) {
+    return { reused: true, session: compromised };
+  }
+
+  return null;
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'revoked_all', exceptSessionId) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: Date.now(), revokedReason: reason }
+  });
+};
+
+// Instance method to revoke a single session
+sessionSchema.methods.revoke = async function(reason = 'revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = Date.now();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  return this;
+};
+
+// Virtual to check whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
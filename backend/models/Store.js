@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { buildSearchFields, normalizeText, updateTouches } = require('../utils/search');
+
+// Store fields the search fields are built from
+const SEARCHED_FIELDS = ['name', 'description', 'category', 'address', 'location'];
+// Those copied onto the store's offers
+const OFFER_SEARCHED_FIELDS = ['name', 'location'];
 
 const storeSchema = new mongoose.Schema({
   name: {
@@ -74,6 +80,13 @@ const storeSchema = new mongoose.Schema({
     zipcode: String,
     country: String
   },
+  // Normalized words and trigrams, see utils/search
+  search: {
+    tokens: { type: [String], select: false },
+    primary: { type: [String], select: false },
+    grams: { type: [String], select: false },
+    city: { type: String, select: false }
+  },
   logo: {
     type: String,
     default: 'default-store-logo.jpg'
@@ -104,6 +117,17 @@ const storeSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Confirm new bookings straight away instead of waiting for the seller
+  autoConfirmBookings: {
+    type: Boolean,
+    default: false
+  },
+  // Platform cut in percent; unset means the default rate in config/payouts
+  commissionRate: {
+    type: Number,
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot be more than 100']
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -115,6 +139,9 @@ const storeSchema = new mongoose.Schema({
 
 // Create geospatial index for location-based queries
 storeSchema.index({ location: '2dsphere' });
+storeSchema.index({ 'search.tokens': 1 });
+storeSchema.index({ 'search.grams': 1 });
+storeSchema.index({ 'search.city': 1 });
 
 // Reverse populate with virtuals
 storeSchema.virtual('offers', {
@@ -176,6 +203,58 @@ storeSchema.statics.getAverageRating = async function(storeId) {
   }
 };
 
+const getSearchFields = (store) => {
+  const city = store.location ? store.location.city : undefined;
+
+  return {
+    search: {
+      ...buildSearchFields({
+        primary: [store.name, city],
+        secondary: [store.category, store.description, store.address]
+      }),
+      city: normalizeText(city)
+    }
+  };
+};
+
+// Rebuild the search fields of the stores matching `filter`, and of their
+// offers, which carry the store's name and city
+storeSchema.statics.refreshSearch = async function(filter) {
+  const stores = await this.find(filter).select(SEARCHED_FIELDS.join(' '));
+
+  if (stores.length === 0) return;
+
+  await this.bulkWrite(stores.map(store => ({
+    updateOne: {
+      filter: { _id: store._id },
+      update: { $set: getSearchFields(store) }
+    }
+  })));
+  await this.model('Offer').refreshSearch({ store: { $in: stores.map(store => store._id) } });
+};
+
+// Keep the search fields in step with the store
+storeSchema.pre('save', function(next) {
+  if (this.isNew || SEARCHED_FIELDS.some(field => this.isModified(field))) {
+    this.set(getSearchFields(this));
+  }
+  this.$locals.offersNeedSearchRefresh = !this.isNew &&
+    OFFER_SEARCHED_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+storeSchema.post('save', async function(doc) {
+  if (doc.$locals.offersNeedSearchRefresh) {
+    await doc.model('Offer').refreshSearch({ store: doc._id });
+  }
+});
+
+storeSchema.post('findOneAndUpdate', async function(doc) {
+  if (doc && updateTouches(this.getUpdate(), SEARCHED_FIELDS)) {
+    await doc.constructor.refreshSearch({ _id: doc._id });
+  }
+});
+
 // Call getAverageRating after save or update review
 storeSchema.post('save', function() {
   this.constructor.getAverageRating(this._id);
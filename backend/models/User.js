@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -58,27 +59,166 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'default.jpg'
   },
+  language: {
+    type: String,
+    enum: ['ar', 'fr', 'en'],
+    default: 'ar'
+  },
   isVerified: {
     type: Boolean,
     default: false
   },
-  fcmToken: {
-    type: String
+  emailVerifiedAt: Date,
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: Date,
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  phoneOtp: {
+    type: new mongoose.Schema({
+      codeHash: String,
+      expiresAt: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastSentAt: Date,
+      sendCount: {
+        type: Number,
+        default: 0
+      },
+      sendWindowStart: Date
+    }, { _id: false }),
+    select: false
+  },
+  pushTokens: {
+    type: [{
+      token: {
+        type: String,
+        required: true
+      },
+      provider: {
+        type: String,
+        enum: ['expo', 'fcm'],
+        default: 'expo'
+      },
+      platform: {
+        type: String,
+        enum: ['ios', 'android', 'web']
+      },
+      device: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      },
+      lastUsedAt: Date
+    }],
+    select: false,
+    default: []
+  },
+  notificationPreferences: {
+    email: {
+      bookingUpdates: { type: Boolean, default: true },
+      newOffers: { type: Boolean, default: true },
+      promotions: { type: Boolean, default: true },
+      accountAlerts: { type: Boolean, default: true }
+    },
+    push: {
+      bookingUpdates: { type: Boolean, default: true },
+      newOffers: { type: Boolean, default: true },
+      promotions: { type: Boolean, default: false },
+      accountAlerts: { type: Boolean, default: true }
+    },
+    sms: {
+      bookingUpdates: { type: Boolean, default: true },
+      newOffers: { type: Boolean, default: false },
+      promotions: { type: Boolean, default: false },
+      accountAlerts: { type: Boolean, default: true }
+    },
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: {
+        type: String,
+        default: '22:00',
+        match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Quiet hours must be in HH:MM format']
+      },
+      end: {
+        type: String,
+        default: '07:00',
+        match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Quiet hours must be in HH:MM format']
+      },
+      timezone: {
+        type: String,
+        default: 'Africa/Algiers'
+      }
+    }
+  },
+  noShowCount: {
+    type: Number,
+    default: 0
   },
+  lastNoShowAt: Date,
+  bookingRestriction: {
+    until: Date,
+    reason: String,
+    createdAt: Date
+  },
+  reliabilityAppeal: {
+    message: {
+      type: String,
+      maxlength: [1000, 'Appeal cannot be more than 1000 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    submittedAt: Date,
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    adminNote: String
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Finds the account a device's push token is registered on
+userSchema.index({ 'pushTokens.token': 1 });
+
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now();
+  }
 });
 
 // Match user entered password to hashed password in database
@@ -86,4 +226,148 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate and hash password reset token
+userSchema.methods.getResetPasswordToken = function() {
+  // Generate token
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the hash is stored, so a leaked database can't be used to reset passwords
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  // Set expire
+  const minutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+  this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+  this.emailVerificationExpire = Date.now() + hours * 60 * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Check whether the user is currently blocked from booking
+userSchema.methods.isBookingRestricted = function() {
+  return !!(
+    this.bookingRestriction &&
+    this.bookingRestriction.until &&
+    this.bookingRestriction.until > new Date()
+  );
+};
+
+// Phone OTP settings
+const OTP_EXPIRE_MINUTES = parseInt(process.env.OTP_EXPIRE_MINUTES, 10) || 5;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+const OTP_MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR, 10) || 5;
+
+const hashOtp = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Generate a 6-digit phone verification code.
+// Returns { code } or { retryAfter } (seconds) when sending is rate limited.
+userSchema.methods.createPhoneOtp = function() {
+  const now = Date.now();
+  const otp = this.phoneOtp || {};
+
+  if (otp.lastSentAt) {
+    const elapsed = (now - otp.lastSentAt.getTime()) / 1000;
+    if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+      return { retryAfter: Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed) };
+    }
+  }
+
+  // Hourly send window
+  let sendCount = otp.sendCount || 0;
+  let sendWindowStart = otp.sendWindowStart;
+  if (!sendWindowStart || now - sendWindowStart.getTime() > 60 * 60 * 1000) {
+    sendCount = 0;
+    sendWindowStart = new Date(now);
+  }
+
+  if (sendCount >= OTP_MAX_SENDS_PER_HOUR) {
+    return {
+      retryAfter: Math.ceil((sendWindowStart.getTime() + 60 * 60 * 1000 - now) / 1000)
+    };
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  this.phoneOtp = {
+    codeHash: hashOtp(code),
+    expiresAt: new Date(now + OTP_EXPIRE_MINUTES * 60 * 1000),
+    attempts: 0,
+    lastSentAt: new Date(now),
+    sendCount: sendCount + 1,
+    sendWindowStart
+  };
+
+  return { code, expiresIn: OTP_EXPIRE_MINUTES * 60 };
+};
+
+// Check a phone verification code.
+// Each check first takes one of the allowed attempts in a single guarded
+// update, so parallel requests can't try more codes than OTP_MAX_ATTEMPTS.
+// Resolves to { result, user } where result is 'verified', 'invalid',
+// 'expired' or 'too_many_attempts'; user is the updated user once verified.
+userSchema.statics.verifyPhoneOtp = async function(userId, code) {
+  const now = new Date();
+
+  const user = await this.findOneAndUpdate(
+    {
+      _id: userId,
+      'phoneOtp.codeHash': { $exists: true, $ne: null },
+      'phoneOtp.expiresAt': { $gt: now },
+      'phoneOtp.attempts': { $lt: OTP_MAX_ATTEMPTS }
+    },
+    { $inc: { 'phoneOtp.attempts': 1 } },
+    { new: true }
+  ).select('+phoneOtp');
+
+  if (!user) {
+    const current = await this.findById(userId).select('+phoneOtp');
+    const otp = current && current.phoneOtp;
+
+    if (!otp || !otp.codeHash || !otp.expiresAt || otp.expiresAt <= now) {
+      return { result: 'expired' };
+    }
+    return { result: 'too_many_attempts' };
+  }
+
+  const otp = user.phoneOtp;
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hashOtp(code), 'hex'),
+    Buffer.from(otp.codeHash, 'hex')
+  );
+
+  if (!matches) {
+    return { result: otp.attempts >= OTP_MAX_ATTEMPTS ? 'too_many_attempts' : 'invalid' };
+  }
+
+  // Guarded on the code we checked, in case a new one was sent meanwhile
+  const verified = await this.findOneAndUpdate(
+    { _id: userId, 'phoneOtp.codeHash': otp.codeHash },
+    {
+      $set: { isPhoneVerified: true, phoneVerifiedAt: Date.now(), 'phoneOtp.attempts': 0 },
+      $unset: { 'phoneOtp.codeHash': 1, 'phoneOtp.expiresAt': 1 }
+    },
+    { new: true }
+  );
+
+  return verified ? { result: 'verified', user: verified } : { result: 'expired' };
+};
+
 module.exports = mongoose.model('User', userSchema);
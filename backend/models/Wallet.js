@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Cached balances of a user's wallet. The ledger in WalletTransaction is the
+// source of truth; these are kept in step by utils/wallet and are what
+// makes debits atomic.
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Wallet must belong to a user'],
+    unique: true
+  },
+  // Money the user put in or got back, spendable and refundable
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+  // Promotional credit, spendable on bookings only
+  promoBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Promo balance cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'DZD'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for everything the user can spend on a booking
+walletSchema.virtual('spendable').get(function() {
+  return Math.round((this.balance + this.promoBalance) * 100) / 100;
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// One leg of a double-entry transaction. Positive amounts add to the
+// account, negative ones take from it; the legs of a transaction sum to 0.
+// Accounts are named `wallet:<userId>:cash`, `wallet:<userId>:promo` or
+// `platform:<name>` for the platform's side of the books.
+const entrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const walletTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['topup', 'booking_debit', 'refund_credit', 'promo_credit', 'admin_adjustment'],
+    required: [true, 'Please specify the transaction type']
+  },
+  // The wallet owner the transaction is about
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entries: {
+    type: [entrySchema],
+    validate: [
+      {
+        validator: entries => entries.length >= 2,
+        message: 'A transaction needs at least two entries'
+      },
+      {
+        validator: entries =>
+          Math.abs(entries.reduce((sum, entry) => sum + entry.amount, 0)) < 0.005,
+        message: 'Transaction entries must balance'
+      }
+    ]
+  },
+  // Wallet balances right after the transaction, for statements
+  balanceAfter: Number,
+  promoBalanceAfter: Number,
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking'
+  },
+  payment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payment'
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Posting the same key twice returns the first transaction
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ 'entries.account': 1 });
+walletTransactionSchema.index({ booking: 1 });
+
+// Ledger transactions are never edited or deleted
+walletTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Wallet transactions are append-only'));
+  }
+);
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -1,11 +1,19 @@
 const express = require('express');
 const { check } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 const authController = require('../controllers/authController');
-const auth = require('../middlewares/auth');
+const { protect } = require('../middlewares/auth');
 
 const router = express.Router();
 
-// @route   POST api/auth/register
+// Stricter limit for OTP endpoints, on top of the per-code attempt limits
+const otpLimiter = rateLimit({
+  max: 10,
+  windowMs: 15 * 60 * 1000,
+  message: { message: 'Too many verification requests, please try again later' }
+});
+
+// @route   POST api/v1/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post(
@@ -19,7 +27,7 @@ router.post(
   authController.register
 );
 
-// @route   POST api/auth/login
+// @route   POST api/v1/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
 router.post(
@@ -31,9 +39,104 @@ router.post(
   authController.login
 );
 
-// @route   GET api/auth/me
+// @route   POST api/v1/auth/refresh-token
+// @desc    Rotate refresh token & get a new access token
+// @access  Public
+router.post(
+  '/refresh-token',
+  [
+    check('refreshToken', 'Refresh token is required').not().isEmpty()
+  ],
+  authController.refreshToken
+);
+
+// @route   POST api/v1/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post(
+  '/forgot-password',
+  [
+    check('email', 'Please include a valid email').isEmail()
+  ],
+  authController.forgotPassword
+);
+
+// @route   POST api/v1/auth/reset-password
+// @desc    Reset password with token from email
+// @access  Public
+router.post(
+  '/reset-password',
+  [
+    check('token', 'Reset token is required').not().isEmpty(),
+    check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+  ],
+  authController.resetPassword
+);
+
+// @route   POST api/v1/auth/change-password
+// @desc    Change password (requires current password)
+// @access  Private
+router.post(
+  '/change-password',
+  protect,
+  [
+    check('currentPassword', 'Current password is required').exists(),
+    check('newPassword', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+  ],
+  authController.changePassword
+);
+
+// @route   GET api/v1/auth/verify-email/:token
+// @desc    Verify email address from the link sent by email
+// @access  Public
+router.get('/verify-email/:token', authController.verifyEmail);
+
+// @route   POST api/v1/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', protect, authController.resendVerificationEmail);
+
+// @route   POST api/v1/auth/phone/send-otp
+// @desc    Send phone verification code
+// @access  Private
+router.post('/phone/send-otp', protect, otpLimiter, authController.sendPhoneOtp);
+
+// @route   POST api/v1/auth/phone/verify-otp
+// @desc    Verify phone number with code
+// @access  Private
+router.post(
+  '/phone/verify-otp',
+  protect,
+  otpLimiter,
+  [
+    check('code', 'Please provide the 6-digit code').matches(/^[0-9]{6}$/)
+  ],
+  authController.verifyPhoneOtp
+);
+
+// @route   POST api/v1/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', protect, authController.logout);
+
+// @route   GET api/v1/auth/sessions
+// @desc    List active sessions of the current user
+// @access  Private
+router.get('/sessions', protect, authController.getSessions);
+
+// @route   DELETE api/v1/auth/sessions
+// @desc    Revoke all sessions of the current user
+// @access  Private
+router.delete('/sessions', protect, authController.revokeAllSessions);
+
+// @route   DELETE api/v1/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/sessions/:id', protect, authController.revokeSession);
+
+// @route   GET api/v1/auth/me
 // @desc    Get current logged in user
 // @access  Private
-router.get('/me', auth, authController.getMe);
+router.get('/me', protect, authController.getMe);
 
 module.exports = router;
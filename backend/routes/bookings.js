@@ -0,0 +1,141 @@
+const express = require('express');
+const { check } = require('express-validator');
+const Booking = require('../models/Booking');
+const bookingController = require('../controllers/bookingController');
+const { protect, authorize } = require('../middlewares/auth');
+const advancedResults = require('../middlewares/advancedResults');
+const { pickupCodeLimiter, ticketScanLimiter } = require('../middlewares/rateLimiters');
+
+// Also mounted under /offers/:offerId/bookings
+const router = express.Router({ mergeParams: true });
+
+// What admins may filter and sort the booking list on
+const bookingResults = advancedResults(Booking, {
+  filters: {
+    status: {
+      type: 'string',
+      values: ['pending', 'confirmed', 'completed', 'cancelled', 'expired', 'rejected']
+    },
+    paymentMethod: { type: 'string', values: ['cash', 'card', 'wallet', 'other'] },
+    paymentStatus: {
+      type: 'string',
+      values: ['pending', 'completed', 'partially_refunded', 'refunded', 'failed']
+    },
+    user: 'objectId',
+    seller: 'objectId',
+    store: 'objectId',
+    offer: 'objectId',
+    totalPrice: 'number',
+    quantity: 'number',
+    pickupTime: 'date',
+    completedAt: 'date',
+    createdAt: 'date'
+  },
+  sort: ['createdAt', 'pickupTime', 'completedAt', 'totalPrice', 'quantity'],
+  skipWhenParams: ['offerId']
+});
+
+// @route   GET api/v1/bookings
+// @route   GET api/v1/offers/:offerId/bookings
+// @desc    Get bookings
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), bookingResults, bookingController.getBookings);
+
+// @route   POST api/v1/offers/:offerId/bookings
+// @desc    Book an offer
+// @access  Private
+router.post(
+  '/',
+  protect,
+  [
+    check('quantity', 'Quantity must be a whole number of at least 1').optional().isInt({ min: 1 }),
+    check('paymentMethod', 'Payment method must be cash, card or wallet').optional().isIn(['cash', 'card', 'wallet'])
+  ],
+  bookingController.addBooking
+);
+
+// @route   GET api/v1/bookings/stats
+// @desc    Get booking statistics
+// @access  Private (Admin, Seller)
+router.get('/stats', protect, authorize('admin', 'seller'), bookingController.getBookingStats);
+
+// @route   POST api/v1/bookings/scan
+// @desc    Complete a booking by scanning its pickup ticket
+// @access  Private (Seller)
+router.post(
+  '/scan',
+  protect,
+  authorize('seller'),
+  ticketScanLimiter,
+  [
+    check('payload', 'Ticket payload is required').not().isEmpty()
+  ],
+  bookingController.scanPickupTicket
+);
+
+// @route   GET api/v1/bookings/verify/:code
+// @desc    Verify a pickup code
+// @access  Private (Seller)
+router.get(
+  '/verify/:code',
+  protect,
+  authorize('seller'),
+  pickupCodeLimiter,
+  bookingController.verifyPickupCode
+);
+
+// @route   PUT api/v1/bookings/complete/:code
+// @desc    Complete a booking with its pickup code
+// @access  Private (Seller)
+router.put(
+  '/complete/:code',
+  protect,
+  authorize('seller'),
+  pickupCodeLimiter,
+  bookingController.completeBookingWithCode
+);
+
+// @route   GET api/v1/bookings/:id
+// @desc    Get a booking
+// @access  Private
+router.get('/:id', protect, bookingController.getBooking);
+
+// @route   PUT api/v1/bookings/:id
+// @desc    Update a booking
+// @access  Private
+router.put('/:id', protect, bookingController.updateBooking);
+
+// @route   DELETE api/v1/bookings/:id
+// @desc    Delete a booking
+// @access  Private
+router.delete('/:id', protect, bookingController.deleteBooking);
+
+// @route   GET api/v1/bookings/:id/history
+// @desc    Get a booking's status history
+// @access  Private
+router.get('/:id/history', protect, bookingController.getBookingHistory);
+
+// @route   GET api/v1/bookings/:id/ticket
+// @desc    Get a booking's pickup ticket
+// @access  Private
+router.get('/:id/ticket', protect, bookingController.getPickupTicket);
+
+// @route   PUT api/v1/bookings/:id/confirm
+// @desc    Confirm a booking
+// @access  Private (Seller, Admin)
+router.put('/:id/confirm', protect, authorize('seller', 'admin'), bookingController.confirmBooking);
+
+// @route   PUT api/v1/bookings/:id/reject
+// @desc    Reject a booking
+// @access  Private (Seller, Admin)
+router.put(
+  '/:id/reject',
+  protect,
+  authorize('seller', 'admin'),
+  [
+    check('reason', 'Please give a reason for rejecting the booking').not().isEmpty()
+  ],
+  bookingController.rejectBooking
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+
+const authRoutes = require('./auth');
+const userRoutes = require('./users');
+const sellerRoutes = require('./sellers');
+const storeRoutes = require('./stores');
+const offerRoutes = require('./offers');
+const bookingRoutes = require('./bookings');
+const reviewRoutes = require('./reviews');
+const notificationRoutes = require('./notifications');
+const paymentRoutes = require('./payments');
+const walletRoutes = require('./wallet');
+const payoutRoutes = require('./payouts');
+const promoCodeRoutes = require('./promoCodes');
+
+// Version 1 of the API, mounted at /api/v1
+const router = express.Router();
+
+router.use('/auth', authRoutes);
+router.use('/users', userRoutes);
+router.use('/sellers', sellerRoutes);
+router.use('/stores', storeRoutes);
+router.use('/offers', offerRoutes);
+router.use('/bookings', bookingRoutes);
+router.use('/reviews', reviewRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/wallet', walletRoutes);
+router.use('/payouts', payoutRoutes);
+router.use('/promo-codes', promoCodeRoutes);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Every notification route is for the signed-in user
+router.use(protect);
+
+// @route   GET api/v1/notifications
+// @desc    Get my notifications
+// @access  Private
+router.get('/', notificationController.getNotifications);
+
+// @route   DELETE api/v1/notifications
+// @desc    Clear my notifications
+// @access  Private
+router.delete('/', notificationController.clearNotifications);
+
+// @route   PUT api/v1/notifications/mark-read
+// @desc    Mark notifications as read
+// @access  Private
+router.put('/mark-read', notificationController.markAsRead);
+
+// @route   PUT api/v1/notifications/mark-all-read
+// @desc    Mark all my notifications as read
+// @access  Private
+router.put('/mark-all-read', notificationController.markAllAsRead);
+
+// @route   GET api/v1/notifications/preferences
+// @desc    Get my notification preferences
+// @access  Private
+router.get('/preferences', notificationController.getNotificationPreferences);
+
+// @route   PUT api/v1/notifications/preferences
+// @desc    Update my notification preferences
+// @access  Private
+router.put('/preferences', notificationController.updateNotificationPreferences);
+
+// @route   GET api/v1/notifications/unread-count
+// @desc    Count my unread notifications
+// @access  Private
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// @route   GET api/v1/notifications/latest
+// @desc    Get my latest notifications
+// @access  Private
+router.get('/latest', notificationController.getLatestNotifications);
+
+// @route   POST api/v1/notifications/test
+// @desc    Send myself a test notification
+// @access  Private
+router.post('/test', notificationController.createTestNotification);
+
+// @route   GET api/v1/notifications/:id
+// @desc    Get a notification
+// @access  Private
+router.get('/:id', notificationController.getNotification);
+
+// @route   DELETE api/v1/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', notificationController.deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const fileUpload = require('express-fileupload');
+const { check } = require('express-validator');
+const Offer = require('../models/Offer');
+const offerController = require('../controllers/offerController');
+const { protect, authorize } = require('../middlewares/auth');
+const advancedResults = require('../middlewares/advancedResults');
+
+// Include other resource routers
+const bookingRouter = require('./bookings');
+const reviewRouter = require('./reviews');
+
+// Also mounted under /stores/:storeId/offers
+const router = express.Router({ mergeParams: true });
+
+// What clients may filter and sort the offer list on
+const offerResults = advancedResults(Offer, {
+  filters: {
+    category: {
+      type: 'string',
+      values: ['bakery', 'restaurant', 'cafe', 'grocery', 'pastry', 'butcher', 'other']
+    },
+    originalPrice: 'number',
+    discountedPrice: 'number',
+    availableQuantity: 'number',
+    pickupStart: 'date',
+    pickupEnd: 'date',
+    rating: 'number',
+    seller: 'objectId',
+    store: 'objectId',
+    createdAt: 'date'
+  },
+  sort: ['createdAt', 'discountedPrice', 'originalPrice', 'pickupStart', 'pickupEnd', 'rating', 'availableQuantity'],
+  populate: [
+    { path: 'seller', select: 'name storeName avatar' },
+    { path: 'store', select: 'name address city' }
+  ],
+  // Only offers that can still be picked up
+  baseFilter: () => ({ isActive: true, pickupEnd: { $gt: new Date() } }),
+  skipWhenParams: ['storeId']
+});
+
+// Re-route into other resource routers
+router.use('/:offerId/bookings', bookingRouter);
+router.use('/:offerId/reviews', reviewRouter);
+
+// @route   GET api/v1/offers
+// @route   GET api/v1/stores/:storeId/offers
+// @desc    Get offers, or a store's offers
+// @access  Public
+router.get('/', offerResults, (req, res, next) =>
+  req.params.storeId
+    ? offerController.getOffersByStore(req, res, next)
+    : offerController.getOffers(req, res, next)
+);
+
+// @route   POST api/v1/stores/:storeId/offers
+// @desc    Create an offer
+// @access  Private (Seller)
+router.post(
+  '/',
+  protect,
+  authorize('seller'),
+  [
+    check('title', 'Please add a title').not().isEmpty(),
+    check('originalPrice', 'Original price must be a positive number').isFloat({ gt: 0 }),
+    check('discountedPrice', 'Discounted price must be a positive number').isFloat({ gt: 0 }),
+    check('pickupStart', 'Please add a valid pickup start').isISO8601(),
+    check('pickupEnd', 'Please add a valid pickup end').isISO8601()
+  ],
+  offerController.createOffer
+);
+
+// @route   GET api/v1/offers/nearby
+// @desc    Get offers near a point
+// @access  Public
+router.get('/nearby', offerController.getNearbyOffers);
+
+// @route   GET api/v1/offers/featured
+// @desc    Get featured offers
+// @access  Public
+router.get('/featured', offerController.getFeaturedOffers);
+
+// @route   GET api/v1/offers/search
+// @desc    Search offers
+// @access  Public
+router.get('/search', offerController.searchOffers);
+
+// @route   GET api/v1/offers/:id
+// @desc    Get an offer
+// @access  Public
+router.get('/:id', offerController.getOffer);
+
+// @route   PUT api/v1/offers/:id
+// @desc    Update an offer
+// @access  Private (Seller)
+router.put('/:id', protect, authorize('seller'), offerController.updateOffer);
+
+// @route   DELETE api/v1/offers/:id
+// @desc    Delete an offer
+// @access  Private (Seller, Admin)
+router.delete('/:id', protect, authorize('seller', 'admin'), offerController.deleteOffer);
+
+// @route   PUT api/v1/offers/:id/photo
+// @desc    Upload an offer photo
+// @access  Private (Seller)
+router.put('/:id/photo', protect, authorize('seller'), fileUpload(), offerController.offerPhotoUpload);
+
+// @route   GET api/v1/offers/:id/similar
+// @desc    Get offers similar to an offer
+// @access  Public
+router.get('/:id/similar', offerController.getSimilarOffers);
+
+module.exports = router;
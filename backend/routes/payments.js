@@ -0,0 +1,54 @@
+const express = require('express');
+const { check } = require('express-validator');
+const paymentController = require('../controllers/paymentController');
+const { protect, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// @route   POST api/v1/payments
+// @desc    Start paying a card booking
+// @access  Private
+router.post(
+  '/',
+  protect,
+  [
+    check('booking', 'Booking is required').isMongoId(),
+    check('cardType', 'Card type must be cib or edahabia').optional().isIn(['cib', 'edahabia'])
+  ],
+  paymentController.initiatePayment
+);
+
+// @route   GET api/v1/payments/callback/:provider
+// @desc    Customer returning from the gateway
+// @access  Public
+router.get('/callback/:provider', paymentController.paymentCallback);
+
+// @route   POST api/v1/payments/webhook/:provider
+// @desc    Server-to-server payment notification
+// @access  Public
+router.post('/webhook/:provider', paymentController.paymentWebhook);
+
+// @route   GET api/v1/payments/mock/checkout/:orderId
+// @desc    Checkout page of the local mock gateway
+// @access  Public (development only)
+router.get('/mock/checkout/:orderId', paymentController.mockCheckout);
+
+// @route   POST api/v1/payments/:id/refund
+// @desc    Refund a payment by hand
+// @access  Private (Admin)
+router.post(
+  '/:id/refund',
+  protect,
+  authorize('admin'),
+  [
+    check('amount', 'Refund amount must be a positive number').optional().isFloat({ gt: 0 })
+  ],
+  paymentController.refundPayment
+);
+
+// @route   GET api/v1/payments/:id
+// @desc    Get a payment
+// @access  Private
+router.get('/:id', protect, paymentController.getPayment);
+
+module.exports = router;
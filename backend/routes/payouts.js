@@ -0,0 +1,46 @@
+const express = require('express');
+const { check } = require('express-validator');
+const payoutController = require('../controllers/payoutController');
+const { protect, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// @route   GET api/v1/payouts
+// @desc    Get payout statements
+// @access  Private (Seller, Admin)
+router.get('/', protect, authorize('seller', 'admin'), payoutController.getPayouts);
+
+// @route   POST api/v1/payouts/settle
+// @desc    Settle the last due period now
+// @access  Private (Admin)
+router.post('/settle', protect, authorize('admin'), payoutController.settleNow);
+
+// @route   GET api/v1/payouts/:id/statement
+// @desc    Download a payout statement as CSV or PDF
+// @access  Private (Seller, Admin)
+router.get(
+  '/:id/statement',
+  protect,
+  authorize('seller', 'admin'),
+  payoutController.exportPayoutStatement
+);
+
+// @route   PUT api/v1/payouts/:id/status
+// @desc    Update a payout's status
+// @access  Private (Admin)
+router.put(
+  '/:id/status',
+  protect,
+  authorize('admin'),
+  [
+    check('status', 'Status must be processing, paid or failed').isIn(['processing', 'paid', 'failed'])
+  ],
+  payoutController.updatePayoutStatus
+);
+
+// @route   GET api/v1/payouts/:id
+// @desc    Get a payout statement
+// @access  Private (Seller, Admin)
+router.get('/:id', protect, authorize('seller', 'admin'), payoutController.getPayout);
+
+module.exports = router;
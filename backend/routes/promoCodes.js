@@ -0,0 +1,62 @@
+const express = require('express');
+const { check } = require('express-validator');
+const promoCodeController = require('../controllers/promoCodeController');
+const { protect, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// @route   POST api/v1/promo-codes/validate
+// @desc    Check a promo code against an order before booking
+// @access  Private
+router.post(
+  '/validate',
+  protect,
+  [
+    check('code', 'Please enter a promo code').not().isEmpty(),
+    check('offer', 'Offer is required').isMongoId()
+  ],
+  promoCodeController.validatePromoCode
+);
+
+// @route   GET api/v1/promo-codes
+// @desc    Get promo codes
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), promoCodeController.getPromoCodes);
+
+// @route   POST api/v1/promo-codes
+// @desc    Create a promo code
+// @access  Private (Admin)
+router.post(
+  '/',
+  protect,
+  authorize('admin'),
+  [
+    check('code', 'Please add a code').not().isEmpty(),
+    check('discountType', 'Discount type must be percentage or fixed').isIn(['percentage', 'fixed']),
+    check('discountValue', 'Discount value must be a positive number').isFloat({ gt: 0 }),
+    check('validUntil', 'Please add a valid end date').isISO8601()
+  ],
+  promoCodeController.createPromoCode
+);
+
+// @route   GET api/v1/promo-codes/:id/usage
+// @desc    Get usage of a promo code
+// @access  Private (Admin)
+router.get('/:id/usage', protect, authorize('admin'), promoCodeController.getPromoCodeUsage);
+
+// @route   GET api/v1/promo-codes/:id
+// @desc    Get a promo code
+// @access  Private (Admin)
+router.get('/:id', protect, authorize('admin'), promoCodeController.getPromoCode);
+
+// @route   PUT api/v1/promo-codes/:id
+// @desc    Update a promo code
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), promoCodeController.updatePromoCode);
+
+// @route   DELETE api/v1/promo-codes/:id
+// @desc    Delete a promo code, or deactivate it once used
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), promoCodeController.deletePromoCode);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { check } = require('express-validator');
+const Review = require('../models/Review');
+const reviewController = require('../controllers/reviewController');
+const { protect, authorize } = require('../middlewares/auth');
+const advancedResults = require('../middlewares/advancedResults');
+
+// Also mounted under /stores/:storeId/reviews and /offers/:offerId/reviews
+const router = express.Router({ mergeParams: true });
+
+// What clients may filter and sort the review list on
+const reviewResults = advancedResults(Review, {
+  filters: {
+    rating: 'number',
+    store: 'objectId',
+    offer: 'objectId',
+    user: 'objectId',
+    isFeatured: 'boolean',
+    createdAt: 'date'
+  },
+  sort: ['createdAt', 'rating', 'helpfulCount'],
+  baseFilter: { isDeleted: { $ne: true } },
+  // Moderation details stay with the admins
+  hiddenFields: ['adminNotes', 'metadata', 'deletedBy', 'deletedReason'],
+  skipWhenParams: ['storeId', 'offerId']
+});
+
+// @route   GET api/v1/reviews
+// @route   GET api/v1/stores/:storeId/reviews
+// @route   GET api/v1/offers/:offerId/reviews
+// @desc    Get reviews
+// @access  Public
+router.get('/', reviewResults, reviewController.getReviews);
+
+// @route   POST api/v1/stores/:storeId/reviews
+// @route   POST api/v1/offers/:offerId/reviews
+// @desc    Add a review
+// @access  Private
+router.post(
+  '/',
+  protect,
+  [
+    check('rating', 'Rating must be between 1 and 5').isInt({ min: 1, max: 5 })
+  ],
+  reviewController.addReview
+);
+
+// @route   GET api/v1/reviews/me
+// @desc    Get my reviews
+// @access  Private
+router.get('/me', protect, reviewController.getMyReviews);
+
+// @route   GET api/v1/reviews/moderation
+// @desc    Get reviews waiting for moderation
+// @access  Private (Admin)
+router.get('/moderation', protect, authorize('admin'), reviewController.getReviewsForModeration);
+
+// @route   GET api/v1/reviews/:id
+// @desc    Get a review
+// @access  Public
+router.get('/:id', reviewController.getReview);
+
+// @route   PUT api/v1/reviews/:id
+// @desc    Update a review
+// @access  Private
+router.put('/:id', protect, reviewController.updateReview);
+
+// @route   DELETE api/v1/reviews/:id
+// @desc    Delete a review
+// @access  Private
+router.delete('/:id', protect, reviewController.deleteReview);
+
+// @route   PUT api/v1/reviews/:id/moderate
+// @desc    Approve or reject a review
+// @access  Private (Admin)
+router.put('/:id/moderate', protect, authorize('admin'), reviewController.moderateReview);
+
+// @route   POST api/v1/reviews/:id/flag
+// @desc    Flag a review
+// @access  Private
+router.post('/:id/flag', protect, reviewController.flagReview);
+
+module.exports = router;
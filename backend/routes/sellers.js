@@ -0,0 +1,18 @@
+const express = require('express');
+const offerController = require('../controllers/offerController');
+const bookingController = require('../controllers/bookingController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// @route   GET api/v1/sellers/:sellerId/offers
+// @desc    Get a seller's offers
+// @access  Public
+router.get('/:sellerId/offers', offerController.getOffersBySeller);
+
+// @route   GET api/v1/sellers/:sellerId/bookings
+// @desc    Get a seller's bookings
+// @access  Private
+router.get('/:sellerId/bookings', protect, bookingController.getSellerBookings);
+
+module.exports = router;
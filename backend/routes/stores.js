@@ -0,0 +1,108 @@
+const express = require('express');
+const fileUpload = require('express-fileupload');
+const { check } = require('express-validator');
+const Store = require('../models/Store');
+const storeController = require('../controllers/storeController');
+const { protect, authorize } = require('../middlewares/auth');
+const advancedResults = require('../middlewares/advancedResults');
+
+// Include other resource routers
+const offerRouter = require('./offers');
+const reviewRouter = require('./reviews');
+
+const router = express.Router();
+
+// What clients may filter and sort the store list on
+const storeResults = advancedResults(Store, {
+  filters: {
+    category: {
+      type: 'string',
+      values: ['restaurant', 'bakery', 'cafe', 'grocery', 'pastry', 'butcher', 'other']
+    },
+    city: { type: 'string', path: 'location.city' },
+    rating: 'number',
+    isVerified: 'boolean',
+    owner: 'objectId',
+    createdAt: 'date'
+  },
+  sort: ['createdAt', 'name', 'rating'],
+  baseFilter: { isActive: true },
+  hiddenFields: ['commissionRate']
+});
+
+// Re-route into other resource routers
+router.use('/:storeId/offers', offerRouter);
+router.use('/:storeId/reviews', reviewRouter);
+
+// @route   GET api/v1/stores
+// @desc    Get stores
+// @access  Public
+router.get('/', storeResults, storeController.getStores);
+
+// @route   POST api/v1/stores
+// @desc    Create a store
+// @access  Private (Admin, Seller)
+// Customers are let through too: opening a store is how they become sellers
+router.post(
+  '/',
+  protect,
+  [
+    check('name', 'Please add a name').not().isEmpty(),
+    check('address', 'Please add an address').not().isEmpty(),
+    check('phone', 'Please enter a valid Algerian phone number').matches(/^(\+213|0)[5-7][0-9]{8}$/)
+  ],
+  storeController.createStore
+);
+
+// @route   GET api/v1/stores/radius/:zipcode/:distance/:unit?
+// @desc    Get stores within a distance
+// @access  Public
+router.get('/radius/:zipcode/:distance/:unit?', storeController.getStoresInRadius);
+
+// @route   GET api/v1/stores/search
+// @desc    Search stores
+// @access  Public
+router.get('/search', storeController.searchStores);
+
+// @route   GET api/v1/stores/category/:category
+// @desc    Get stores in a category
+// @access  Public
+router.get('/category/:category', storeController.getStoresByCategory);
+
+// @route   GET api/v1/stores/owner/:ownerId
+// @desc    Get an owner's stores
+// @access  Public
+router.get('/owner/:ownerId', storeController.getStoresByOwner);
+
+// @route   GET api/v1/stores/:id
+// @desc    Get a store
+// @access  Public
+router.get('/:id', storeController.getStore);
+
+// @route   PUT api/v1/stores/:id
+// @desc    Update a store
+// @access  Private (Store Owner, Admin)
+router.put('/:id', protect, authorize('seller', 'admin'), storeController.updateStore);
+
+// @route   DELETE api/v1/stores/:id
+// @desc    Delete a store
+// @access  Private (Store Owner, Admin)
+router.delete('/:id', protect, authorize('seller', 'admin'), storeController.deleteStore);
+
+// @route   PUT api/v1/stores/:id/photo
+// @desc    Upload a store photo
+// @access  Private (Store Owner, Admin)
+router.put(
+  '/:id/photo',
+  protect,
+  authorize('seller', 'admin'),
+  fileUpload(),
+  storeController.storePhotoUpload
+);
+
+// @route   GET api/v1/stores/:id/stats
+// @desc    Get a store's statistics
+// @access  Private (Store Owner, Admin)
+router.get('/:id/stats', protect, authorize('seller', 'admin'), storeController.getStoreStats);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { check } = require('express-validator');
+const userController = require('../controllers/userController');
+const { protect, authorize } = require('../middlewares/auth');
+const { uploadImage } = require('../middlewares/upload');
+const bookingController = require('../controllers/bookingController');
+const reviewController = require('../controllers/reviewController');
+
+const router = express.Router();
+
+// @route   GET api/v1/users/me
+// @desc    Get current user's profile
+// @access  Private
+router.get('/me', protect, userController.getMe);
+
+// @route   PUT api/v1/users/me
+// @desc    Update current user's profile
+// @access  Private
+router.put(
+  '/me',
+  protect,
+  [
+    check('name', 'Name cannot be empty').optional().not().isEmpty(),
+    check('phone', 'Please enter a valid Algerian phone number').optional().matches(/^(\+213|0)[5-7][0-9]{8}$/),
+    check('language', 'Language must be ar, fr or en').optional().isIn(['ar', 'fr', 'en'])
+  ],
+  userController.updateMe
+);
+
+// @route   PUT api/v1/users/me/avatar
+// @desc    Upload avatar
+// @access  Private
+router.put('/me/avatar', protect, uploadImage('avatars', 'avatar'), userController.uploadAvatar);
+
+// @route   GET api/v1/users/me/reliability
+// @desc    Get reliability score and booking restriction
+// @access  Private
+router.get('/me/reliability', protect, userController.getMyReliability);
+
+// @route   POST api/v1/users/me/reliability/appeal
+// @desc    Appeal a booking restriction
+// @access  Private
+router.post(
+  '/me/reliability/appeal',
+  protect,
+  [
+    check('message', 'Please explain why the restriction should be lifted').not().isEmpty(),
+    check('message', 'Appeal cannot be more than 1000 characters').isLength({ max: 1000 })
+  ],
+  userController.submitReliabilityAppeal
+);
+
+// @route   GET api/v1/users/reliability/appeals
+// @desc    List booking restriction appeals
+// @access  Private (Admin)
+router.get('/reliability/appeals', protect, authorize('admin'), userController.getReliabilityAppeals);
+
+// @route   PUT api/v1/users/:id/reliability/appeal
+// @desc    Approve or reject a booking restriction appeal
+// @access  Private (Admin)
+router.put(
+  '/:id/reliability/appeal',
+  protect,
+  authorize('admin'),
+  [
+    check('decision', 'Decision must be approve or reject').isIn(['approve', 'reject'])
+  ],
+  userController.resolveReliabilityAppeal
+);
+
+// @route   POST api/v1/users/:id/push-token
+// @desc    Register a device push token
+// @access  Private
+router.post(
+  '/:id/push-token',
+  protect,
+  [
+    check('token', 'Push token is required').not().isEmpty(),
+    check('platform', 'Platform must be ios, android or web').optional().isIn(['ios', 'android', 'web'])
+  ],
+  userController.addPushToken
+);
+
+// @route   DELETE api/v1/users/:id/push-token/:token
+// @desc    Remove a device push token
+// @access  Private
+router.delete('/:id/push-token/:token', protect, userController.removePushToken);
+
+// @route   GET api/v1/users/:userId/bookings
+// @desc    Get a user's bookings
+// @access  Private
+router.get('/:userId/bookings', protect, bookingController.getUserBookings);
+
+// @route   GET api/v1/users/:userId/reviews
+// @desc    Get a user's reviews
+// @access  Public
+router.get('/:userId/reviews', reviewController.getUserReviews);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { check } = require('express-validator');
+const walletController = require('../controllers/walletController');
+const { protect, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// @route   GET api/v1/wallet
+// @desc    Get current user's wallet
+// @access  Private
+router.get('/', protect, walletController.getMyWallet);
+
+// @route   GET api/v1/wallet/transactions
+// @desc    Get current user's wallet transactions
+// @access  Private
+router.get('/transactions', protect, walletController.getMyTransactions);
+
+// @route   POST api/v1/wallet/topup
+// @desc    Top up the wallet by card
+// @access  Private
+router.post(
+  '/topup',
+  protect,
+  [
+    check('amount', 'Amount must be a number').isFloat({ gt: 0 }),
+    check('cardType', 'Card type must be cib or edahabia').optional().isIn(['cib', 'edahabia'])
+  ],
+  walletController.topUp
+);
+
+// @route   POST api/v1/wallet/compensations
+// @desc    Credit customers whose bookings a seller cancelled or rejected
+// @access  Private (Admin)
+router.post(
+  '/compensations',
+  protect,
+  authorize('admin'),
+  [
+    check('amount', 'Amount must be a positive number').isFloat({ gt: 0 }),
+    check('reference', 'Reference is required').not().isEmpty(),
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  walletController.compensateCancelledBookings
+);
+
+// @route   GET api/v1/wallet/users/:userId
+// @desc    Get a user's wallet, checked against the ledger
+// @access  Private (Admin)
+router.get('/users/:userId', protect, authorize('admin'), walletController.getUserWallet);
+
+// @route   POST api/v1/wallet/users/:userId/adjustments
+// @desc    Credit or debit a user's wallet by hand
+// @access  Private (Admin)
+router.post(
+  '/users/:userId/adjustments',
+  protect,
+  authorize('admin'),
+  [
+    check('amount', 'Amount must be a number').isFloat(),
+    check('bucket', 'Bucket must be cash or promo').optional().isIn(['cash', 'promo']),
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  walletController.adjustWallet
+);
+
+module.exports = router;
@@ -8,14 +8,21 @@ const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const hpp = require('hpp');
+const http = require('http');
 const path = require('path');
 const fs = require('fs');
 const rfs = require('rotating-file-stream');
+const pushDelivery = require('./jobs/pushDelivery');
+const bookingExpiry = require('./jobs/expireBookings');
+const unpaidBookingExpiry = require('./jobs/expireUnpaidBookings');
+const payoutSettlement = require('./jobs/settlePayouts');
+const { initSocket } = require('./sockets');
+const Store = require('./models/Store');
+const Offer = require('./models/Offer');
 
 // Import routes
-const authRoutes = require('./routes/auth');
-const offerRoutes = require('./routes/offers');
-const userRoutes = require('./routes/users');
+const apiRoutes = require('./routes');
+const { deprecatedAlias } = require('./middlewares/apiVersion');
 
 // Initialize express app
 const app = express();
@@ -30,12 +37,13 @@ const accessLogStream = rfs.createStream('access.log', {
 
 // Security Middleware
 app.use(helmet()); // Set security HTTP headers
-app.use(cors({
+const corsOptions = {
   origin: process.env.NODE_ENV === 'production' 
     ? process.env.FRONTEND_URL 
     : 'http://localhost:3000',
   credentials: true
-}));
+};
+app.use(cors(corsOptions));
 
 // Development logging
 if (process.env.NODE_ENV === 'development') {
@@ -76,13 +84,30 @@ mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+
+  // Start background workers
+  pushDelivery.start();
+  bookingExpiry.start();
+  unpaidBookingExpiry.start();
+  payoutSettlement.start();
+
+  // Fill in the search fields of stores and offers saved before they existed
+  const unindexed = { 'search.tokens': { $exists: false } };
+  Store.refreshSearch(unindexed)
+    .then(() => Offer.refreshSearch(unindexed))
+    .catch(err => console.error('Search backfill error:', err));
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/offers', offerRoutes);
-app.use('/api/users', userRoutes);
+app.use('/api/v1', apiRoutes);
+
+// Unversioned alias kept for older clients
+const legacyApi = express.Router();
+legacyApi.use(deprecatedAlias('/api/v1'), apiRoutes);
+app.use('/api', legacyApi);
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -126,8 +151,11 @@ app.all('*', (req, res, next) => {
   next(err);
 });
 
-// Start server
+// Start server with Socket.IO attached for real-time updates
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = http.createServer(app);
+initSocket(server, corsOptions);
+
+server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
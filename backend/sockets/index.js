@@ -0,0 +1,132 @@
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const Store = require('../models/Store');
+const { getUserFromToken } = require('../middlewares/auth');
+const { areaRoomsAround } = require('../utils/realtime');
+
+// Cap on offer rooms a single socket can watch
+const MAX_OFFER_SUBSCRIPTIONS = 200;
+
+// Read the JWT from the handshake: `auth: { token }` from socket.io-client,
+// or an `Authorization: Bearer <token>` header
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+
+  return null;
+};
+
+// Live offer availability subscriptions, open to guests and users alike.
+// Clients subscribe by offer id (offer details, booking screens) or by
+// position (home and map screens) and receive `offer:availability` events.
+const registerAvailabilityHandlers = (socket) => {
+  let areaRooms = [];
+
+  const offerRooms = () =>
+    [...socket.rooms].filter(room => room.startsWith('offer_'));
+
+  // Payloads come straight from clients, guests included: they may be
+  // missing, null or of the wrong shape and must never throw here
+  socket.on('offers:subscribe', (payload, ack) => {
+    const { offerIds } = payload || {};
+    const ids = (Array.isArray(offerIds) ? offerIds : [])
+      .filter(id => mongoose.isValidObjectId(id))
+      .slice(0, Math.max(0, MAX_OFFER_SUBSCRIPTIONS - offerRooms().length));
+
+    socket.join(ids.map(id => `offer_${id}`));
+    if (typeof ack === 'function') ack({ subscribed: ids.length });
+  });
+
+  socket.on('offers:unsubscribe', (payload) => {
+    const { offerIds } = payload || {};
+    (Array.isArray(offerIds) ? offerIds : []).forEach(id => socket.leave(`offer_${id}`));
+  });
+
+  // Only one area at a time: moving replaces the previous subscription
+  socket.on('area:subscribe', (payload, ack) => {
+    const { lat: latitude, lng: longitude } = payload || {};
+
+    if (
+      !Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+      !Number.isFinite(longitude) || longitude < -180 || longitude > 180
+    ) {
+      if (typeof ack === 'function') ack({ error: 'Invalid coordinates' });
+      return;
+    }
+
+    areaRooms.forEach(room => socket.leave(room));
+    areaRooms = areaRoomsAround(latitude, longitude);
+    socket.join(areaRooms);
+
+    if (typeof ack === 'function') ack({ subscribed: true });
+  });
+
+  socket.on('area:unsubscribe', () => {
+    areaRooms.forEach(room => socket.leave(room));
+    areaRooms = [];
+  });
+};
+
+// Create the Socket.IO server on top of the HTTP server.
+// Connections with a token are authenticated with the same JWT as the REST
+// API and join their own user room (`user_<id>`) plus the rooms of the stores
+// they own (`store_<id>`). Guests may connect without a token, but only to
+// follow public offer availability (`offer_<id>` and `area_<lat>_<lng>` rooms).
+// The server is exposed as `process.io` for models and helpers.
+const initSocket = (server, corsOptions) => {
+  const io = new Server(server, { cors: corsOptions });
+
+  io.use(async (socket, next) => {
+    const token = getHandshakeToken(socket.handshake);
+
+    // Guests can still follow public offer availability
+    if (!token) {
+      socket.user = null;
+      return next();
+    }
+
+    try {
+      const result = await getUserFromToken(token);
+
+      if (!result) {
+        return next(new Error('Not authorized'));
+      }
+
+      socket.user = result.user;
+      next();
+    } catch (err) {
+      next(new Error('Not authorized'));
+    }
+  });
+
+  io.on('connection', async (socket) => {
+    const { user } = socket;
+
+    registerAvailabilityHandlers(socket);
+
+    if (!user) return;
+
+    socket.join(`user_${user.id}`);
+
+    try {
+      if (user.role === 'seller' || user.role === 'admin') {
+        const stores = await Store.find({ owner: user.id }).select('_id');
+        stores.forEach(store => socket.join(`store_${store._id}`));
+      }
+    } catch (err) {
+      console.error('Error joining store rooms:', err);
+    }
+  });
+
+  process.io = io;
+
+  return io;
+};
+
+module.exports = { initSocket };
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Keep side effects out of the way: only stock and bookings matter here
+jest.mock('../utils/notificationDispatcher', () => ({
+  ...jest.requireActual('../utils/notificationDispatcher'),
+  notify: jest.fn()
+}));
+jest.mock('../utils/sendEmail', () => ({ sendEmail: jest.fn() }));
+
+const User = require('../models/User');
+const Store = require('../models/Store');
+const Offer = require('../models/Offer');
+const Booking = require('../models/Booking');
+const bookingConfig = require('../config/booking');
+const { addBooking } = require('../controllers/bookingController');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ALGIERS = [3.087, 36.7372];
+
+let mongo;
+let seller;
+let store;
+let userCount = 0;
+
+// Call addBooking like the router does and settle on its response or error
+const book = (offer, user, body = {}) =>
+  new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload });
+      }
+    };
+    const next = err => resolve({ status: err.statusCode || 500, error: err });
+
+    addBooking({ params: { offerId: offer._id.toString() }, body, user }, res, next);
+  });
+
+const createUser = (fields = {}) => {
+  userCount += 1;
+  return User.create({
+    name: `User ${userCount}`,
+    email: `user${userCount}@example.dz`,
+    password: 'secret123',
+    phone: `05${String(userCount).padStart(8, '0')}`,
+    location: { type: 'Point', coordinates: ALGIERS },
+    isVerified: true,
+    isPhoneVerified: true,
+    ...fields
+  });
+};
+
+const createOffer = (quantity) => {
+  const now = Date.now();
+  return Offer.create({
+    title: 'Panier surprise',
+    description: 'Viennoiseries et pain du jour',
+    originalPrice: 800,
+    discountedPrice: 300,
+    quantity,
+    availableQuantity: quantity,
+    pickupStart: new Date(now + HOUR_MS),
+    pickupEnd: new Date(now + 3 * HOUR_MS),
+    images: ['panier.jpg'],
+    category: 'bakery',
+    seller: seller._id,
+    store: store._id,
+    location: { type: 'Point', coordinates: ALGIERS }
+  });
+};
+
+// Bags held by open bookings on an offer
+const bookedQuantity = async (offer) => {
+  const bookings = await Booking.find({
+    offer: offer._id,
+    status: { $in: ['pending', 'confirmed'] }
+  });
+  return bookings.reduce((sum, booking) => sum + booking.quantity, 0);
+};
+
+beforeAll(async () => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  // The unique index on open bookings must exist before the races start
+  await Promise.all([User, Store, Offer, Booking].map(model => model.syncIndexes()));
+
+  seller = await createUser({ role: 'seller' });
+  store = await Store.create({
+    name: 'Boulangerie du Centre',
+    owner: seller._id,
+    category: 'bakery',
+    phone: '0550000000',
+    address: '12 rue Didouche Mourad, Alger',
+    location: { type: 'Point', coordinates: ALGIERS, city: 'Alger' }
+  });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) await mongo.stop();
+});
+
+afterEach(async () => {
+  await Promise.all([Booking.deleteMany({}), Offer.deleteMany({})]);
+});
+
+describe('addBooking under concurrency', () => {
+  it('never sells more bags than the offer has', async () => {
+    const offer = await createOffer(5);
+    const customers = await Promise.all(Array.from({ length: 20 }, () => createUser()));
+
+    const results = await Promise.all(customers.map(customer => book(offer, customer)));
+    const booked = results.filter(result => result.status === 201);
+
+    expect(booked).toHaveLength(5);
+    results
+      .filter(result => result.status !== 201)
+      .forEach(result => expect([400, 409]).toContain(result.status));
+
+    const after = await Offer.findById(offer._id);
+    expect(after.availableQuantity).toBe(0);
+    expect(await bookedQuantity(offer)).toBe(5);
+  });
+
+  it('keeps availableQuantity from going negative with multi-bag bookings', async () => {
+    const offer = await createOffer(5);
+    const customers = await Promise.all(Array.from({ length: 10 }, () => createUser()));
+
+    const results = await Promise.all(
+      customers.map(customer => book(offer, customer, { quantity: 2 }))
+    );
+    const booked = results.filter(result => result.status === 201);
+
+    const after = await Offer.findById(offer._id);
+    expect(after.availableQuantity).toBeGreaterThanOrEqual(0);
+    expect(booked.length * 2).toBeLessThanOrEqual(5);
+    expect(await bookedQuantity(offer) + after.availableQuantity).toBe(5);
+  });
+
+  it('gives one customer a single open booking however many requests they send', async () => {
+    const offer = await createOffer(20);
+    const customer = await createUser();
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => book(offer, customer, { quantity: 1 }))
+    );
+
+    expect(results.filter(result => result.status === 201)).toHaveLength(1);
+    expect(await Booking.countDocuments({ offer: offer._id, user: customer._id })).toBe(1);
+
+    // Every bag taken by a failed request went back to the offer
+    const after = await Offer.findById(offer._id);
+    expect(after.availableQuantity).toBe(19);
+  });
+
+  it('holds the per-customer cap when requests race', async () => {
+    const offer = await createOffer(20);
+    const customer = await createUser();
+    const quantity = bookingConfig.maxQuantityPerUser;
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => book(offer, customer, { quantity }))
+    );
+
+    expect(results.filter(result => result.status === 201)).toHaveLength(1);
+    expect(await bookedQuantity(offer)).toBeLessThanOrEqual(bookingConfig.maxQuantityPerUser);
+
+    const after = await Offer.findById(offer._id);
+    expect(after.availableQuantity).toBe(20 - quantity);
+  });
+});
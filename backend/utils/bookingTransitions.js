@@ -0,0 +1,220 @@
+const Booking = require('../models/Booking');
+const Offer = require('../models/Offer');
+const ErrorResponse = require('./errorResponse');
+const { notify } = require('./notificationDispatcher');
+const { refundBooking } = require('./refundEngine');
+const { releasePromoCode } = require('./promoCodes');
+
+// Who may move a booking from one status to another.
+// 'user' is the customer who made the booking.
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['seller', 'admin'],
+    rejected: ['seller', 'admin'],
+    cancelled: ['user', 'seller', 'admin']
+  },
+  confirmed: {
+    completed: ['seller', 'admin'],
+    cancelled: ['user', 'seller', 'admin']
+  },
+  completed: {},
+  cancelled: {},
+  expired: {},
+  rejected: {}
+};
+
+// Statuses that give the reserved quantity back to the offer
+const RELEASING_STATUSES = ['cancelled', 'rejected'];
+
+// Works for both populated documents and plain ids
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Get the role a user plays on a booking: 'admin', 'seller', 'user' or null
+const getActorRole = (booking, user) => {
+  if (user.role === 'admin') return 'admin';
+  if (idOf(booking.seller) === user.id) return 'seller';
+  if (idOf(booking.user) === user.id) return 'user';
+  return null;
+};
+
+// Card bookings can't be confirmed or handed over before they're paid
+const isAwaitingPayment = (booking) =>
+  booking.paymentMethod === 'card' && booking.paymentStatus !== 'completed';
+
+// Check a status change. Returns an ErrorResponse, or null if it's allowed.
+const checkTransition = (booking, to, actorRole) => {
+  const from = booking.status;
+  const allowed = TRANSITIONS[from] || {};
+
+  if (!allowed[to]) {
+    return new ErrorResponse(`Invalid status transition from ${from} to ${to}`, 400);
+  }
+
+  if (!allowed[to].includes(actorRole)) {
+    return new ErrorResponse(`You are not allowed to change this booking from ${from} to ${to}`, 403);
+  }
+
+  if (['confirmed', 'completed'].includes(to) && isAwaitingPayment(booking)) {
+    return new ErrorResponse('This booking has not been paid yet', 400);
+  }
+
+  return null;
+};
+
+// Notifications sent for each new status
+const notifyTransition = async (booking, to, { actorRole, reason }) => {
+  const offerTitle = booking.offer && booking.offer.title ? booking.offer.title : 'your order';
+  const related = {
+    relatedEntity: {
+      entityType: 'booking',
+      entityId: booking._id
+    },
+    actionUrl: `/bookings/${booking._id}`
+  };
+
+  switch (to) {
+    case 'confirmed':
+      await notify({
+        user: idOf(booking.user),
+        title: 'Booking Confirmed',
+        message: `Your booking for "${offerTitle}" has been confirmed. Show your pickup code ${booking.pickupCode} at the store.`,
+        type: 'booking_confirmed',
+        ...related,
+        priority: 'high'
+      });
+      break;
+
+    case 'rejected':
+      await notify({
+        user: idOf(booking.user),
+        title: 'Booking Rejected',
+        message: `Your booking for "${offerTitle}" was rejected by the seller${reason ? `: ${reason}` : ''}`,
+        type: 'booking_rejected',
+        ...related,
+        priority: 'high'
+      });
+      break;
+
+    case 'cancelled':
+      // Tell the other party
+      if (actorRole !== 'user') {
+        await notify({
+          user: idOf(booking.user),
+          title: 'Booking Cancelled',
+          message: `Your booking #${booking._id} has been cancelled by the ${actorRole === 'admin' ? 'FoodSaver DZ team' : 'seller'}${reason ? `: ${reason}` : ''}`,
+          type: 'booking_cancelled',
+          ...related,
+          priority: 'high'
+        });
+      }
+      if (actorRole !== 'seller') {
+        await notify({
+          user: idOf(booking.seller),
+          title: 'Booking Cancelled',
+          message: `Booking #${booking._id} for "${offerTitle}" has been cancelled${actorRole === 'user' ? ' by the customer' : ''}`,
+          type: 'booking_cancelled',
+          ...related,
+          priority: 'medium'
+        });
+      }
+      break;
+
+    case 'completed':
+      await notify({
+        user: idOf(booking.user),
+        title: 'Order Picked Up',
+        message: `Your order #${booking._id} has been marked as picked up. Thank you for using FoodSaver DZ!`,
+        type: 'booking_completed',
+        ...related,
+        priority: 'medium'
+      });
+      break;
+
+    default:
+      break;
+  }
+};
+
+// Move a booking to a new status, only if nobody changed it in the meantime.
+// Sets the matching timestamp fields, records the change in the status
+// history, returns reserved quantity and any promo code (on cancel/reject
+// unless told otherwise), notifies the other party and refunds cancelled or
+// rejected paid bookings.
+// Returns the updated booking, or null on conflict.
+const applyTransition = async (booking, to, {
+  actorRole,
+  actorId,
+  reason,
+  pickedUpAt,
+  releaseQuantity = RELEASING_STATUSES.includes(to)
+} = {}) => {
+  const now = Date.now();
+  const update = {
+    status: to,
+    $push: {
+      statusHistory: {
+        from: booking.status,
+        to,
+        actor: actorId,
+        role: actorRole || 'system',
+        reason,
+        at: now
+      }
+    }
+  };
+
+  if (to === 'confirmed') {
+    update.confirmedAt = now;
+  } else if (to === 'completed') {
+    update.completedAt = now;
+    update.pickedUpAt = pickedUpAt || now;
+  } else if (to === 'rejected') {
+    update.rejectedAt = now;
+    if (reason) update.rejectionReason = reason;
+  } else if (to === 'cancelled') {
+    update.cancelledAt = now;
+    update.cancelledBy = actorRole || 'system';
+    if (reason) update.cancellationReason = reason;
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status },
+    update,
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!updated) return null;
+
+  if (releaseQuantity) {
+    await Offer.release(idOf(updated.offer), updated.quantity);
+    // The customer didn't get the food, so they keep their promo code
+    await releasePromoCode(updated);
+  }
+
+  await notifyTransition(updated, to, { actorRole, reason });
+
+  // Give paid money back according to the cancellation policy
+  if (RELEASING_STATUSES.includes(to)) {
+    try {
+      await refundBooking(updated, {
+        cancelledBy: actorRole || 'system',
+        reason: `booking ${to}`
+      });
+    } catch (err) {
+      console.error(`Error refunding booking ${updated._id}:`, err);
+    }
+  }
+
+  return updated;
+};
+
+module.exports = {
+  TRANSITIONS,
+  getActorRole,
+  isAwaitingPayment,
+  checkTransition,
+  applyTransition
+};
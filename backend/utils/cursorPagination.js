@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Page size from the query string, capped
+const getPageSize = (limit) =>
+  Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// '-createdAt' -> { field: 'createdAt', direction: -1 }
+const parseSort = (sort) =>
+  sort.startsWith('-')
+    ? { field: sort.slice(1), direction: -1 }
+    : { field: sort, direction: 1 };
+
+const getPath = (doc, path) =>
+  path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Opaque cursor pointing just after `doc` in a list sorted by `sort`
+const encodeCursor = (doc, sort) => {
+  const value = getPath(doc, parseSort(sort).field);
+  const payload = {
+    s: sort,
+    v: value instanceof Date ? { d: value.toISOString() } : (value === undefined ? null : value),
+    id: doc._id.toString()
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Read a cursor back; it must come from a list with the same sort
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new ErrorResponse('Invalid cursor', 400);
+  }
+
+  if (!payload || payload.s !== sort || !mongoose.isValidObjectId(payload.id)) {
+    throw new ErrorResponse('Invalid cursor', 400);
+  }
+
+  let { v: value } = payload;
+  if (value && typeof value === 'object' && typeof value.d === 'string') {
+    value = new Date(value.d);
+    if (Number.isNaN(value.getTime())) throw new ErrorResponse('Invalid cursor', 400);
+  } else if (value !== null && typeof value !== 'number' && typeof value !== 'string') {
+    throw new ErrorResponse('Invalid cursor', 400);
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+// Condition matching everything after the cursor in (field, _id) order.
+// Missing values sort lowest in Mongo, so they come first going up and
+// last going down.
+const afterCursor = ({ field, direction }, { value, id }) => {
+  const beyond = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [field]: { [beyond]: value } },
+    { [field]: value, _id: { [beyond]: id } }
+  ];
+  if (direction === -1) conditions.push({ [field]: null });
+
+  return { $or: conditions };
+};
+
+// Keyset-paginate a find(): stable when documents are added while a client
+// is scrolling, unlike skip/limit.
+// Resolves to { data, nextCursor }; nextCursor is null on the last page.
+const paginate = async (model, filter, {
+  sort = '-createdAt',
+  cursor,
+  limit,
+  populate = [],
+  select
+} = {}) => {
+  const pageSize = getPageSize(limit);
+  const order = parseSort(sort);
+
+  const conditions = [filter];
+  if (cursor) conditions.push(afterCursor(order, decodeCursor(cursor, sort)));
+
+  let query = model.find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort({ [order.field]: order.direction, _id: order.direction })
+    .limit(pageSize + 1);
+
+  if (select) query = query.select(select);
+  for (const option of [].concat(populate)) {
+    query = query.populate(option);
+  }
+
+  const docs = await query;
+  const hasMore = docs.length > pageSize;
+  const data = hasMore ? docs.slice(0, pageSize) : docs;
+
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+  };
+};
+
+// Same as paginate() for an aggregation, e.g. one starting with $geoNear
+// whose computed fields can be sorted on. Resolves to plain objects.
+const paginateAggregate = async (model, pipeline, {
+  sort = '-createdAt',
+  cursor,
+  limit,
+  populate = []
+} = {}) => {
+  const pageSize = getPageSize(limit);
+  const order = parseSort(sort);
+
+  const stages = [...pipeline];
+  if (cursor) stages.push({ $match: afterCursor(order, decodeCursor(cursor, sort)) });
+  stages.push(
+    { $sort: { [order.field]: order.direction, _id: order.direction } },
+    { $limit: pageSize + 1 }
+  );
+
+  let docs = await model.aggregate(stages);
+  const populateOptions = [].concat(populate);
+  if (populateOptions.length > 0) {
+    docs = await model.populate(docs, populateOptions);
+  }
+
+  const hasMore = docs.length > pageSize;
+  const data = hasMore ? docs.slice(0, pageSize) : docs;
+
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getPageSize,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  paginate,
+  paginateAggregate
+};
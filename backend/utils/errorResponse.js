@@ -0,0 +1,12 @@
+// Error with an HTTP status, for the error handler in server.js to send back
+// to the client as is
+class ErrorResponse extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+    this.status = String(statusCode).startsWith('4') ? 'fail' : 'error';
+    this.isOperational = true;
+  }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,73 @@
+const ErrorResponse = require('./errorResponse');
+
+const METERS_PER_UNIT = {
+  km: 1000,
+  mi: 1609.344
+};
+
+const DEFAULT_DISTANCE = 10;
+// Furthest a nearby search may reach, in km
+const MAX_DISTANCE_KM = 100;
+
+const toNumber = (value) =>
+  typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+
+// Read and check lat/lng/distance/unit from a query string.
+// Returns null when no coordinates were given and they're optional.
+const parseGeoQuery = (query, { required = false } = {}) => {
+  const { lat, lng, distance, unit = 'km' } = query;
+
+  if (lat === undefined && lng === undefined && !required) {
+    return null;
+  }
+
+  const latitude = toNumber(lat);
+  const longitude = toNumber(lng);
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+    !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new ErrorResponse('Please provide a valid latitude (-90 to 90) and longitude (-180 to 180)', 400);
+  }
+
+  if (!METERS_PER_UNIT[unit]) {
+    throw new ErrorResponse('Unit must be km or mi', 400);
+  }
+
+  const radius = distance === undefined ? DEFAULT_DISTANCE : toNumber(distance);
+  const maxRadius = MAX_DISTANCE_KM * METERS_PER_UNIT.km / METERS_PER_UNIT[unit];
+
+  if (!Number.isFinite(radius) || radius <= 0 || radius > maxRadius) {
+    throw new ErrorResponse(
+      `Distance must be a number between 0 and ${Math.floor(maxRadius)} ${unit}`,
+      400
+    );
+  }
+
+  return { lat: latitude, lng: longitude, distance: radius, unit };
+};
+
+// $geoNear stage for offers within `distance` of the point. Adds the
+// distance in meters as `distanceField`; it must be the first stage.
+const geoNearStage = ({ lat, lng, distance, unit }, query, distanceField = 'distance') => ({
+  $geoNear: {
+    near: { type: 'Point', coordinates: [lng, lat] },
+    // The schema indexes both location and location.coordinates
+    key: 'location',
+    distanceField,
+    maxDistance: distance * METERS_PER_UNIT[unit],
+    spherical: true,
+    query
+  }
+});
+
+// Meters to the requested unit, to the nearest 10 m
+const fromMeters = (meters, unit) => Math.round(meters / METERS_PER_UNIT[unit] * 100) / 100;
+
+module.exports = {
+  METERS_PER_UNIT,
+  DEFAULT_DISTANCE,
+  MAX_DISTANCE_KM,
+  parseGeoQuery,
+  geoNearStage,
+  fromMeters
+};
@@ -0,0 +1,10 @@
+const NodeGeocoder = require('node-geocoder');
+
+// Address lookups for stores, through the provider set in GEOCODER_PROVIDER
+const geocoder = NodeGeocoder({
+  provider: process.env.GEOCODER_PROVIDER || 'openstreetmap',
+  apiKey: process.env.GEOCODER_API_KEY,
+  formatter: null
+});
+
+module.exports = geocoder;
@@ -0,0 +1,130 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendEmail, escapeHtml } = require('./sendEmail');
+const { sendSms } = require('./sms');
+
+// Preference category for each notification type
+const CATEGORIES = {
+  booking_created: 'bookingUpdates',
+  booking_confirmed: 'bookingUpdates',
+  booking_cancelled: 'bookingUpdates',
+  booking_rejected: 'bookingUpdates',
+  booking_completed: 'bookingUpdates',
+  booking_expired: 'bookingUpdates',
+  payment_refunded: 'bookingUpdates',
+  new_offer: 'newOffers',
+  offer_expired: 'newOffers',
+  promotion: 'promotions',
+  announcement: 'promotions'
+};
+
+const getCategory = (type) => CATEGORIES[type] || 'accountAlerts';
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight in the given timezone
+const minutesInTimezone = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return get('hour') * 60 + get('minute');
+};
+
+// If `date` falls inside the user's quiet hours, return when they end; otherwise null
+const getQuietHoursEnd = (quietHours, date = new Date()) => {
+  if (!quietHours || !quietHours.enabled) return null;
+
+  const now = minutesInTimezone(date, quietHours.timezone || 'Africa/Algiers');
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  // Windows like 22:00-07:00 wrap around midnight
+  const isQuiet = start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+
+  if (!isQuiet) return null;
+
+  const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+  const endsAt = new Date(date.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+};
+
+// Create a notification and deliver it on the channels the user opted into.
+// The in-app notification is always recorded; push, email and SMS follow the
+// user's preferences. During quiet hours push is deferred until they end and
+// SMS is skipped, unless the notification is urgent.
+const notify = async (data) => {
+  const user = await User.findById(data.user).select('email phone notificationPreferences');
+
+  if (!user) return null;
+
+  const prefs = user.notificationPreferences || {};
+  const category = getCategory(data.type);
+  const wants = channel => !!(prefs[channel] && prefs[channel][category]);
+
+  const quietHoursEnd = data.priority === 'urgent' ? null : getQuietHoursEnd(prefs.quietHours);
+
+  const notification = await Notification.createNotification({
+    ...data,
+    ...(quietHoursEnd && wants('push') && { scheduledAt: quietHoursEnd }),
+    delivery: {
+      push: { status: wants('push') ? 'pending' : 'skipped' },
+      email: { status: wants('email') ? undefined : 'skipped' },
+      sms: { status: wants('sms') && !quietHoursEnd ? undefined : 'skipped' }
+    }
+  });
+
+  const updates = {};
+
+  if (wants('email')) {
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: data.title,
+        // The message can carry reasons and notes typed by users and sellers
+        html: `<p>${escapeHtml(data.message)}</p>`,
+        text: data.message
+      });
+      updates['delivery.email.status'] = 'sent';
+      updates['delivery.email.sentAt'] = Date.now();
+    } catch (err) {
+      console.error('Error sending email:', err);
+      updates['delivery.email.status'] = 'failed';
+      updates['delivery.email.error'] = err.message;
+    }
+  }
+
+  if (wants('sms') && !quietHoursEnd) {
+    try {
+      await sendSms({ to: user.phone, message: `${data.title}: ${data.message}` });
+      updates['delivery.sms.status'] = 'sent';
+      updates['delivery.sms.sentAt'] = Date.now();
+    } catch (err) {
+      console.error('Error sending SMS:', err);
+      updates['delivery.sms.status'] = 'failed';
+      updates['delivery.sms.error'] = err.message;
+    }
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await Notification.updateOne({ _id: notification._id }, { $set: updates });
+  }
+
+  return notification;
+};
+
+module.exports = {
+  notify,
+  getCategory,
+  getQuietHoursEnd
+};
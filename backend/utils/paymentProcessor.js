@@ -0,0 +1,199 @@
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { getProvider } = require('./payments');
+const { applyTransition } = require('./bookingTransitions');
+const { notify } = require('./notificationDispatcher');
+const { refundPayment } = require('./refundEngine');
+const { postTransaction } = require('./wallet');
+
+// Tell every admin about a payment that needs a human
+const alertAdmins = async (title, message, payment) => {
+  const admins = await User.find({ role: 'admin' }).select('_id');
+
+  for (const admin of admins) {
+    await notify({
+      user: admin._id,
+      title,
+      message,
+      type: 'admin_alert',
+      relatedEntity: {
+        entityType: 'payment',
+        entityId: payment._id
+      },
+      priority: 'high'
+    });
+  }
+};
+
+// Credit a paid top-up to the wallet
+const onTopupSucceeded = async (payment) => {
+  await postTransaction({
+    type: 'topup',
+    userId: payment.user,
+    cash: payment.amount,
+    payment: payment._id,
+    description: `Card top-up ${payment.orderNumber}`,
+    idempotencyKey: `topup:${payment._id}`
+  });
+
+  await notify({
+    user: payment.user,
+    title: 'Wallet Topped Up',
+    message: `${payment.amount} DZD has been added to your wallet`,
+    type: 'payment_received',
+    relatedEntity: {
+      entityType: 'payment',
+      entityId: payment._id
+    },
+    actionUrl: '/wallet',
+    priority: 'medium'
+  });
+};
+
+// Booking side of a successful payment: mark it paid, confirm it and let
+// both parties know.
+const onPaymentSucceeded = async (payment) => {
+  if (payment.purpose === 'wallet_topup') {
+    return onTopupSucceeded(payment);
+  }
+
+  // Only the first successful attempt is applied, and the booking stays
+  // pending until it's confirmed below
+  const booking = await Booking.findOneAndUpdate(
+    { _id: payment.booking, status: 'pending', paymentStatus: { $ne: 'completed' } },
+    { paymentStatus: 'completed', payment: payment._id },
+    { new: true }
+  );
+
+  // Money for a booking that was closed or already paid meanwhile goes
+  // straight back, without touching the booking
+  if (!booking) {
+    const refund = await refundPayment(
+      payment,
+      payment.amount,
+      'payment arrived after the booking was closed'
+    );
+
+    if (!refund.ok) {
+      await alertAdmins(
+        'Payment For Closed Booking',
+        `Payment ${payment.orderNumber} of ${payment.amount} DZD arrived after booking #${payment.booking} was closed and could not be refunded automatically`,
+        payment
+      );
+    }
+    return;
+  }
+
+  const offerTitle = booking.offer && booking.offer.title ? booking.offer.title : 'your offer';
+
+  await notify({
+    user: payment.user,
+    title: 'Payment Received',
+    message: `We received your payment of ${payment.amount} DZD for "${offerTitle}"`,
+    type: 'payment_received',
+    relatedEntity: {
+      entityType: 'payment',
+      entityId: payment._id
+    },
+    actionUrl: `/bookings/${booking._id}`,
+    priority: 'medium'
+  });
+
+  await notify({
+    user: booking.seller._id || booking.seller,
+    title: 'New Booking!',
+    message: `You have a new paid booking for "${offerTitle}"`,
+    type: 'booking_created',
+    relatedEntity: {
+      entityType: 'booking',
+      entityId: booking._id
+    },
+    actionUrl: `/bookings/${booking._id}`,
+    priority: 'high'
+  });
+
+  await applyTransition(booking, 'confirmed', {
+    actorRole: 'system',
+    reason: 'Payment received'
+  });
+};
+
+// Booking side of a failed payment. The customer can try again until
+// the booking's payment deadline.
+const onPaymentFailed = async (payment) => {
+  if (payment.purpose === 'wallet_topup') {
+    return notify({
+      user: payment.user,
+      title: 'Payment Failed',
+      message: `Your wallet top-up of ${payment.amount} DZD did not go through${payment.errorMessage ? ` (${payment.errorMessage})` : ''}`,
+      type: 'payment_failed',
+      relatedEntity: {
+        entityType: 'payment',
+        entityId: payment._id
+      },
+      actionUrl: '/wallet',
+      priority: 'medium'
+    });
+  }
+
+  const booking = await Booking.findOneAndUpdate(
+    { _id: payment.booking, status: 'pending', paymentStatus: 'pending' },
+    { paymentStatus: 'failed' },
+    { new: true }
+  );
+
+  if (!booking) return;
+
+  await notify({
+    user: payment.user,
+    title: 'Payment Failed',
+    message: `Your payment of ${payment.amount} DZD did not go through${payment.errorMessage ? ` (${payment.errorMessage})` : ''}. You can try again before ${booking.paymentDueAt.toLocaleTimeString('ar-DZ')}.`,
+    type: 'payment_failed',
+    relatedEntity: {
+      entityType: 'payment',
+      entityId: payment._id
+    },
+    actionUrl: `/bookings/${booking._id}`,
+    priority: 'high'
+  });
+};
+
+// Ask the gateway where a pending payment stands and apply the result.
+// Safe to call any number of times, from redirects, webhooks and jobs:
+// only the first call that sees a final status acts on it.
+// Resolves to the up-to-date payment.
+const syncPayment = async (payment) => {
+  if (payment.status !== 'pending' || !payment.providerOrderId) return payment;
+
+  const result = await getProvider(payment.provider).getStatus(payment.providerOrderId);
+
+  if (result.status === 'pending') return payment;
+
+  const now = new Date();
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    {
+      status: result.status,
+      providerResponse: result.raw,
+      errorMessage: result.error,
+      ...(result.status === 'succeeded' ? { paidAt: now } : { failedAt: now })
+    },
+    { new: true }
+  );
+
+  // Someone else already applied the result
+  if (!updated) return Payment.findById(payment._id);
+
+  if (updated.status === 'succeeded') {
+    await onPaymentSucceeded(updated);
+  } else {
+    await onPaymentFailed(updated);
+  }
+
+  return updated;
+};
+
+module.exports = {
+  syncPayment
+};
@@ -0,0 +1,49 @@
+const satimProvider = require('./satimProvider');
+const mockProvider = require('./mockProvider');
+
+// Registered payment gateways, keyed by name.
+// A provider is an object with a `name` and:
+// - async `createPayment({ orderNumber, amount, currency, returnUrl, failUrl,
+//   description, language, cardType, baseUrl })` resolving to
+//   { providerOrderId, redirectUrl }
+// - async `getStatus(providerOrderId)` resolving to
+//   { status: 'succeeded' | 'failed' | 'pending', raw, error }
+// - async `refund(providerOrderId, amount)` resolving to { ok, raw, error }
+// - optional `parseWebhook(req)` returning the providerOrderId of a verified
+//   server-to-server notification, or throwing if it can't be trusted
+// The gateway's own status query is the only source of truth: redirects
+// and webhooks just tell us when to ask.
+const providers = {
+  satim: satimProvider,
+  mock: mockProvider
+};
+
+// Register an additional provider
+const registerProvider = (provider) => {
+  if (
+    !provider ||
+    !provider.name ||
+    typeof provider.createPayment !== 'function' ||
+    typeof provider.getStatus !== 'function' ||
+    typeof provider.refund !== 'function'
+  ) {
+    throw new Error('A payment provider must have a name, createPayment, getStatus and refund');
+  }
+  providers[provider.name] = provider;
+};
+
+// Get a provider by name, or the one configured with PAYMENT_PROVIDER
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// Local gateway for development and tests. Orders live in memory; the
+// checkout page is served by the payments routes and webhooks are signed
+// with MOCK_PAYMENT_SECRET like a real gateway would.
+const orders = new Map();
+
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET || 'mock-payment-secret';
+
+const sign = (body) =>
+  crypto.createHmac('sha256', getSecret()).update(JSON.stringify(body)).digest('hex');
+
+module.exports = {
+  name: 'mock',
+  orders,
+
+  createPayment: async ({ orderNumber, amount, currency, returnUrl, failUrl, baseUrl }) => {
+    const providerOrderId = `mock_${crypto.randomBytes(8).toString('hex')}`;
+
+    orders.set(providerOrderId, {
+      orderNumber,
+      amount,
+      currency,
+      returnUrl,
+      failUrl,
+      status: 'pending'
+    });
+
+    return {
+      providerOrderId,
+      redirectUrl: `${baseUrl}/api/v1/payments/mock/checkout/${providerOrderId}`
+    };
+  },
+
+  getStatus: async (providerOrderId) => {
+    const order = orders.get(providerOrderId);
+
+    if (!order) {
+      return { status: 'failed', raw: null, error: 'Unknown order' };
+    }
+
+    return {
+      status: order.status,
+      raw: { ...order },
+      error: order.status === 'failed' ? 'Card declined' : undefined
+    };
+  },
+
+  refund: async (providerOrderId, amount) => {
+    const order = orders.get(providerOrderId);
+
+    if (!order || order.status !== 'succeeded') {
+      return { ok: false, raw: null, error: 'Order was not paid' };
+    }
+
+    order.refunded = (order.refunded || 0) + amount;
+    if (order.refunded > order.amount) {
+      order.refunded -= amount;
+      return { ok: false, raw: { ...order }, error: 'Refund exceeds the amount paid' };
+    }
+
+    return { ok: true, raw: { ...order } };
+  },
+
+  // Settle an order as if the customer paid or the card was declined.
+  // Returns the URL the customer would be sent back to.
+  complete: (providerOrderId, outcome) => {
+    const order = orders.get(providerOrderId);
+    if (!order) return null;
+
+    order.status = outcome === 'success' ? 'succeeded' : 'failed';
+    const url = order.status === 'succeeded' ? order.returnUrl : order.failUrl;
+
+    return `${url}${url.includes('?') ? '&' : '?'}orderId=${providerOrderId}`;
+  },
+
+  sign,
+
+  parseWebhook: (req) => {
+    const signature = req.get('x-mock-signature') || '';
+    const expected = sign(req.body);
+
+    if (
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return req.body.orderId;
+  },
+
+  reset: () => orders.clear()
+};
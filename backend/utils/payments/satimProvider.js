@@ -0,0 +1,127 @@
+const https = require('https');
+const querystring = require('querystring');
+
+// SATIM ePay handles both CIB and Edahabia cards
+const DEFAULT_BASE_URL = 'https://test.satim.dz/payment/rest';
+
+// ISO 4217 numeric code for the Algerian dinar
+const DZD_CURRENCY_CODE = '012';
+
+// OrderStatus values returned by confirmOrder.do
+const ORDER_STATUS = {
+  REGISTERED: 0,
+  APPROVED: 1,
+  DEPOSITED: 2,
+  REVERSED: 3,
+  REFUNDED: 4,
+  DECLINED: 6
+};
+
+const getConfig = () => {
+  const { SATIM_USERNAME, SATIM_PASSWORD, SATIM_TERMINAL_ID } = process.env;
+
+  if (!SATIM_USERNAME || !SATIM_PASSWORD || !SATIM_TERMINAL_ID) {
+    throw new Error('SATIM_USERNAME, SATIM_PASSWORD and SATIM_TERMINAL_ID must be set');
+  }
+
+  return {
+    baseUrl: process.env.SATIM_BASE_URL || DEFAULT_BASE_URL,
+    userName: SATIM_USERNAME,
+    password: SATIM_PASSWORD,
+    terminalId: SATIM_TERMINAL_ID
+  };
+};
+
+const callApi = (method, params) =>
+  new Promise((resolve, reject) => {
+    const { baseUrl, userName, password } = getConfig();
+    const url = `${baseUrl}/${method}?${querystring.stringify({ userName, password, ...params })}`;
+
+    const req = https.get(url, { headers: { Accept: 'application/json' } }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        try {
+          if (res.statusCode >= 400) {
+            return reject(new Error(`SATIM ${method} failed with ${res.statusCode}`));
+          }
+          resolve(JSON.parse(data));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(15000, () => req.destroy(new Error(`SATIM ${method} timed out`)));
+  });
+
+const toSatimLanguage = (language) =>
+  ({ ar: 'AR', fr: 'FR', en: 'EN' }[language] || 'FR');
+
+// SATIM/CIB redirect flow: register the order, send the customer to the
+// returned form, then confirm the order server-side when they come back
+module.exports = {
+  name: 'satim',
+
+  createPayment: async ({ orderNumber, amount, returnUrl, failUrl, description, language }) => {
+    const { terminalId } = getConfig();
+
+    const response = await callApi('register.do', {
+      orderNumber,
+      // Amounts are sent in centimes
+      amount: Math.round(amount * 100),
+      currency: DZD_CURRENCY_CODE,
+      returnUrl,
+      failUrl,
+      description,
+      language: toSatimLanguage(language),
+      jsonParams: JSON.stringify({ force_terminal_id: terminalId, udf1: orderNumber })
+    });
+
+    if (!response.orderId || !response.formUrl) {
+      throw new Error(response.errorMessage || `SATIM register failed with code ${response.errorCode}`);
+    }
+
+    return {
+      providerOrderId: response.orderId,
+      redirectUrl: response.formUrl
+    };
+  },
+
+  getStatus: async (providerOrderId) => {
+    const raw = await callApi('confirmOrder.do', {
+      orderId: providerOrderId,
+      language: 'FR'
+    });
+    const orderStatus = Number(raw.OrderStatus);
+
+    if (orderStatus === ORDER_STATUS.DEPOSITED && String(raw.ErrorCode) === '0') {
+      return { status: 'succeeded', raw };
+    }
+
+    if (orderStatus === ORDER_STATUS.REGISTERED || orderStatus === ORDER_STATUS.APPROVED) {
+      return { status: 'pending', raw };
+    }
+
+    return {
+      status: 'failed',
+      raw,
+      error: raw.actionCodeDescription || raw.ErrorMessage || `Order status ${raw.OrderStatus}`
+    };
+  },
+
+  refund: async (providerOrderId, amount) => {
+    const raw = await callApi('refund.do', {
+      orderId: providerOrderId,
+      amount: Math.round(amount * 100),
+      currency: DZD_CURRENCY_CODE
+    });
+
+    if (String(raw.errorCode) === '0') {
+      return { ok: true, raw };
+    }
+
+    return { ok: false, raw, error: raw.errorMessage || `Refund failed with code ${raw.errorCode}` };
+  }
+};
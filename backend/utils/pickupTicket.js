@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Ticket format version, bumped if the signed fields ever change
+const TICKET_PREFIX = 'FSDZ1';
+
+// How long after the pickup window a ticket can still be scanned
+const graceMinutes = () =>
+  parseInt(process.env.PICKUP_TICKET_GRACE_MINUTES, 10) || 60;
+
+// How far back an offline scan may be dated when it is synced
+const maxOfflineHours = () =>
+  parseInt(process.env.PICKUP_SCAN_MAX_OFFLINE_HOURS, 10) || 24;
+
+const getSecret = () => {
+  const secret = process.env.PICKUP_TICKET_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('PICKUP_TICKET_SECRET is not set');
+  }
+  return secret;
+};
+
+const sign = (data) =>
+  crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+// Build the signed payload encoded in a booking's QR code:
+// FSDZ1.<bookingId>.<pickupCode>.<expiresAt seconds>.<signature>
+const createTicket = (booking, pickupEnd) => {
+  const expiresAt = Math.floor(
+    (new Date(pickupEnd).getTime() + graceMinutes() * 60 * 1000) / 1000
+  );
+  const data = `${TICKET_PREFIX}.${booking._id}.${booking.pickupCode}.${expiresAt}`;
+
+  return {
+    payload: `${data}.${sign(data)}`,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+};
+
+// Check a scanned payload. The signature is checked without touching the
+// database, and expiry is checked against the time of the scan so tickets
+// scanned offline can be synced later.
+// Returns { bookingId, pickupCode, expiresAt } or { error }.
+const verifyTicket = (payload, scannedAt = new Date()) => {
+  const parts = typeof payload === 'string' ? payload.trim().split('.') : [];
+
+  if (parts.length !== 5 || parts[0] !== TICKET_PREFIX) {
+    return { error: 'Not a valid pickup ticket' };
+  }
+
+  const [, bookingId, pickupCode, expiresAt, signature] = parts;
+  const expected = Buffer.from(sign(parts.slice(0, 4).join('.')));
+  const given = Buffer.from(signature);
+
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: 'Pickup ticket signature is invalid' };
+  }
+
+  const now = Date.now();
+  const scanTime = new Date(scannedAt).getTime();
+
+  if (
+    Number.isNaN(scanTime) ||
+    scanTime > now + 5 * 60 * 1000 ||
+    scanTime < now - maxOfflineHours() * 60 * 60 * 1000
+  ) {
+    return { error: 'Scan time is not valid' };
+  }
+
+  if (scanTime > parseInt(expiresAt, 10) * 1000) {
+    return { error: 'Pickup ticket has expired' };
+  }
+
+  return {
+    bookingId,
+    pickupCode,
+    expiresAt: new Date(parseInt(expiresAt, 10) * 1000)
+  };
+};
+
+module.exports = {
+  createTicket,
+  verifyTicket
+};
@@ -0,0 +1,164 @@
+const Booking = require('../models/Booking');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Discount a code gives on an order of `subtotal` DZD
+const computeDiscount = (promo, subtotal) => {
+  let discount = promo.discountType === 'percentage'
+    ? subtotal * promo.discountValue / 100
+    : promo.discountValue;
+
+  if (promo.discountType === 'percentage' && promo.maxDiscount) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+
+  return roundAmount(Math.min(discount, subtotal));
+};
+
+// Bookings of this user still holding the code
+const countUserRedemptions = (promo, userId) =>
+  PromoRedemption.countDocuments({ promoCode: promo._id, user: userId });
+
+// Why a code can't be used on this order, or null if it can
+const getPromoCodeError = async (promo, { userId, store, subtotal, at = new Date() }) => {
+  if (!promo || !promo.isActive) {
+    return 'This promo code is not valid';
+  }
+
+  if (promo.validFrom && promo.validFrom > at) {
+    return 'This promo code is not active yet';
+  }
+
+  if (promo.validUntil <= at) {
+    return 'This promo code has expired';
+  }
+
+  if (promo.maxUses && promo.usedCount >= promo.maxUses) {
+    return 'This promo code has been used up';
+  }
+
+  if (subtotal < promo.minOrderAmount) {
+    return `This promo code needs an order of at least ${promo.minOrderAmount} DZD`;
+  }
+
+  if (promo.stores.length > 0 &&
+    !promo.stores.some(storeId => store && storeId.toString() === store._id.toString())) {
+    return 'This promo code does not apply to this store';
+  }
+
+  if (promo.categories.length > 0 && !(store && promo.categories.includes(store.category))) {
+    return 'This promo code does not apply to this kind of store';
+  }
+
+  if (await countUserRedemptions(promo, userId) >= promo.maxUsesPerUser) {
+    return 'You have already used this promo code';
+  }
+
+  return null;
+};
+
+// Look up a code and price an order with it.
+// Resolves to { promo, subtotal, discount, total } or { error }.
+const applyPromoCode = async (code, { userId, store, subtotal }) => {
+  const promo = await PromoCode.findOne({ code: normalizeCode(code) });
+  const error = await getPromoCodeError(promo, { userId, store, subtotal });
+
+  if (error) return { error };
+
+  const discount = computeDiscount(promo, subtotal);
+
+  return {
+    promo,
+    subtotal: roundAmount(subtotal),
+    discount,
+    total: roundAmount(subtotal - discount)
+  };
+};
+
+// Take the first of the user's free slots on the code for a booking, or
+// resolve to null when they have used it up. A slot taken by a parallel
+// booking in between makes the insert fail, and the next slot is tried.
+const takeRedemptionSlot = async (promo, userId, bookingId) => {
+  for (let slot = 0; slot < promo.maxUsesPerUser; slot += 1) {
+    try {
+      return await PromoRedemption.create({
+        promoCode: promo._id,
+        user: userId,
+        booking: bookingId,
+        slot
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  return null;
+};
+
+// Take one use of a code for a booking, within both the user's and the
+// global cap. Resolves to null, or to why the code can't be used after all.
+const claimPromoCode = async (promo, { userId, bookingId }) => {
+  const redemption = await takeRedemptionSlot(promo, userId, bookingId);
+
+  if (!redemption) {
+    return 'You have already used this promo code';
+  }
+
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await PromoRedemption.deleteOne({ _id: redemption._id });
+    return 'This promo code has been used up';
+  }
+
+  return null;
+};
+
+// Give a booking's use back, e.g. after the booking couldn't be created
+const unclaimPromoCode = async (promoId, bookingId) => {
+  await PromoRedemption.deleteOne({ promoCode: promoId, booking: bookingId });
+  await PromoCode.updateOne({ _id: promoId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+// Hand back the code of a booking that was cancelled, rejected or went
+// unpaid, so the customer can use it again. Safe to call more than once.
+const releasePromoCode = async (booking) => {
+  if (!booking.discount || !booking.discount.promoCode) return;
+
+  const released = await Booking.updateOne(
+    { _id: booking._id, 'discount.released': { $ne: true } },
+    { 'discount.released': true }
+  );
+
+  if (released.modifiedCount > 0) {
+    await unclaimPromoCode(
+      booking.discount.promoCode._id || booking.discount.promoCode,
+      booking._id
+    );
+  }
+};
+
+module.exports = {
+  normalizeCode,
+  computeDiscount,
+  getPromoCodeError,
+  applyPromoCode,
+  claimPromoCode,
+  unclaimPromoCode,
+  releasePromoCode
+};
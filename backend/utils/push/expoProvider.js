@@ -0,0 +1,68 @@
+const https = require('https');
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+// Expo accepts at most 100 messages per request
+const CHUNK_SIZE = 100;
+
+const postJson = (url, body) =>
+  new Promise((resolve, reject) => {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json'
+    };
+
+    if (process.env.EXPO_ACCESS_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+    }
+
+    const req = https.request(url, { method: 'POST', headers }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        try {
+          const json = JSON.parse(data);
+          if (res.statusCode >= 400) {
+            return reject(new Error(`Expo push request failed with ${res.statusCode}`));
+          }
+          resolve(json);
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(10000, () => req.destroy(new Error('Expo push request timed out')));
+    req.write(JSON.stringify(body));
+    req.end();
+  });
+
+// Sends through the Expo push service (tokens from expo-notifications)
+module.exports = {
+  name: 'expo',
+
+  send: async (tokens, { title, body, data }) => {
+    const results = [];
+
+    for (let i = 0; i < tokens.length; i += CHUNK_SIZE) {
+      const chunk = tokens.slice(i, i + CHUNK_SIZE);
+      const response = await postJson(
+        EXPO_PUSH_URL,
+        chunk.map(to => ({ to, title, body, data, sound: 'default' }))
+      );
+
+      (response.data || []).forEach((ticket, index) => {
+        const error = ticket.details && ticket.details.error;
+        results.push({
+          token: chunk[index],
+          ok: ticket.status === 'ok',
+          invalid: error === 'DeviceNotRegistered',
+          error: ticket.status === 'ok' ? undefined : (error || ticket.message)
+        });
+      });
+    }
+
+    return results;
+  }
+};
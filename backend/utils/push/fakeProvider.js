@@ -0,0 +1,24 @@
+// In-memory provider for tests and local development.
+// Every message is recorded in `sent`; tokens starting with "invalid" are
+// reported as unregistered so token pruning can be exercised.
+const sent = [];
+
+module.exports = {
+  name: 'fake',
+  sent,
+
+  send: async (tokens, message) => {
+    return tokens.map(token => {
+      if (token.startsWith('invalid')) {
+        return { token, ok: false, invalid: true, error: 'DeviceNotRegistered' };
+      }
+
+      sent.push({ token, ...message });
+      return { token, ok: true, invalid: false };
+    });
+  },
+
+  reset: () => {
+    sent.length = 0;
+  }
+};
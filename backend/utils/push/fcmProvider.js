@@ -0,0 +1,52 @@
+// Error codes meaning the token will never work again
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+  'messaging/invalid-argument'
+];
+
+let messaging;
+
+// Lazily initialise firebase-admin so it is only needed when FCM is used.
+// Credentials come from FIREBASE_SERVICE_ACCOUNT (JSON) or the default
+// Google application credentials.
+const getMessaging = () => {
+  if (!messaging) {
+    const admin = require('firebase-admin');
+
+    if (!admin.apps.length) {
+      admin.initializeApp({
+        credential: process.env.FIREBASE_SERVICE_ACCOUNT
+          ? admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT))
+          : admin.credential.applicationDefault()
+      });
+    }
+
+    messaging = admin.messaging();
+  }
+
+  return messaging;
+};
+
+// Sends through Firebase Cloud Messaging (native device tokens)
+module.exports = {
+  name: 'fcm',
+
+  send: async (tokens, { title, body, data }) => {
+    const response = await getMessaging().sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      // FCM data values must be strings
+      data: Object.fromEntries(
+        Object.entries(data || {}).map(([key, value]) => [key, String(value)])
+      )
+    });
+
+    return response.responses.map((result, index) => ({
+      token: tokens[index],
+      ok: result.success,
+      invalid: !result.success && INVALID_TOKEN_ERRORS.includes(result.error.code),
+      error: result.success ? undefined : result.error.message
+    }));
+  }
+};
@@ -0,0 +1,66 @@
+const expoProvider = require('./expoProvider');
+const fcmProvider = require('./fcmProvider');
+const fakeProvider = require('./fakeProvider');
+
+// Registered push providers, keyed by name.
+// A provider is an object with a `name` and an async
+// `send(tokens, { title, body, data })` resolving to one result per token:
+// { token, ok, invalid, error }. `invalid` means the token should be pruned.
+const providers = {
+  expo: expoProvider,
+  fcm: fcmProvider,
+  fake: fakeProvider
+};
+
+// Register an additional provider
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('A push provider must have a name and a send function');
+  }
+  providers[provider.name] = provider;
+};
+
+// Guess which service issued a token
+const detectProvider = (token) =>
+  /^Expo(nent)?PushToken\[.+\]$/.test(token) ? 'expo' : 'fcm';
+
+// Get the provider for a token type. PUSH_PROVIDER forces a single
+// provider for every token (e.g. `fake` in tests and local development).
+const getProvider = (name) => {
+  const provider = providers[process.env.PUSH_PROVIDER || name];
+
+  if (!provider) {
+    throw new Error(`Unknown push provider "${process.env.PUSH_PROVIDER || name}"`);
+  }
+
+  return provider;
+};
+
+// Send a message to a list of { token, provider } entries.
+// Resolves to the combined per-token results of every provider used.
+const sendPush = async (pushTokens, message) => {
+  const byProvider = {};
+
+  pushTokens.forEach(({ token, provider }) => {
+    const name = provider || detectProvider(token);
+    (byProvider[name] = byProvider[name] || []).push(token);
+  });
+
+  const results = await Promise.all(
+    Object.entries(byProvider).map(async ([name, tokens]) => {
+      try {
+        return await getProvider(name).send(tokens, message);
+      } catch (err) {
+        return tokens.map(token => ({ token, ok: false, invalid: false, error: err.message }));
+      }
+    })
+  );
+
+  return results.flat();
+};
+
+module.exports = {
+  sendPush,
+  registerProvider,
+  detectProvider
+};
@@ -0,0 +1,76 @@
+// Helpers to push live updates to Socket.IO rooms.
+// They are no-ops when the Socket.IO server isn't running (scripts, jobs, tests).
+
+// Size of the grid cells used for area subscriptions (~11 km at Algiers' latitude)
+const AREA_CELL_DEGREES = parseFloat(process.env.AREA_CELL_DEGREES) || 0.1;
+
+// Get an id string from either an ObjectId or a populated document
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const emitToRoom = (room, event, payload) => {
+  if (process.io) {
+    process.io.to(room).emit(event, payload);
+  }
+};
+
+exports.emitToUser = (userId, event, payload) => {
+  emitToRoom(`user_${idOf(userId)}`, event, payload);
+};
+
+exports.emitToStore = (storeId, event, payload) => {
+  emitToRoom(`store_${idOf(storeId)}`, event, payload);
+};
+
+// Tell the customer and the seller that a booking changed
+exports.emitBookingUpdate = (booking) => {
+  const payload = {
+    bookingId: booking._id.toString(),
+    offer: idOf(booking.offer),
+    status: booking.status,
+    updatedAt: booking.updatedAt
+  };
+
+  exports.emitToUser(booking.user, 'booking:updated', payload);
+  exports.emitToUser(booking.seller, 'booking:updated', payload);
+};
+
+// Room name of the grid cell containing a point
+exports.areaRoom = (lat, lng) =>
+  `area_${Math.floor(lat / AREA_CELL_DEGREES)}_${Math.floor(lng / AREA_CELL_DEGREES)}`;
+
+// Room names of the cell containing a point and its eight neighbours, so
+// offers just across a cell border still reach nearby customers
+exports.areaRoomsAround = (lat, lng) => {
+  const rooms = [];
+  for (let dLat = -1; dLat <= 1; dLat++) {
+    for (let dLng = -1; dLng <= 1; dLng++) {
+      rooms.push(exports.areaRoom(lat + dLat * AREA_CELL_DEGREES, lng + dLng * AREA_CELL_DEGREES));
+    }
+  }
+  return rooms;
+};
+
+// Tell the store's staff, customers watching the offer and customers
+// browsing the offer's area that its availability changed
+exports.emitOfferUpdate = (offer) => {
+  const payload = {
+    offerId: offer._id.toString(),
+    availableQuantity: offer.availableQuantity,
+    isActive: offer.isActive,
+    soldOut: !offer.isActive || offer.availableQuantity <= 0
+  };
+
+  exports.emitToStore(offer.store, 'offer:updated', payload);
+
+  if (process.io) {
+    let target = process.io.to(`offer_${payload.offerId}`);
+
+    if (offer.location && offer.location.coordinates && offer.location.coordinates.length === 2) {
+      const [lng, lat] = offer.location.coordinates;
+      target = target.to(exports.areaRoom(lat, lng));
+    }
+
+    // A socket in both rooms still receives the event only once
+    target.emit('offer:availability', payload);
+  }
+};
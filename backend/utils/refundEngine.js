@@ -0,0 +1,226 @@
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const refundPolicy = require('../config/refundPolicy');
+const { getProvider } = require('./payments');
+const { notify } = require('./notificationDispatcher');
+const { postTransaction } = require('./wallet');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Round to the centime so partial refunds don't drift
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Share of the price to give back, following the cancellation policy.
+// `cancelledBy` is the role of whoever closed the booking.
+const getRefundPercent = (booking, cancelledBy, at = new Date()) => {
+  if (refundPolicy.fullRefundFor.includes(cancelledBy)) return 100;
+
+  const pickupStart = booking.offer && booking.offer.pickupStart
+    ? new Date(booking.offer.pickupStart)
+    : new Date(booking.pickupTime);
+  const hoursBefore = (pickupStart.getTime() - at.getTime()) / HOUR_MS;
+
+  if (hoursBefore >= refundPolicy.fullRefundHoursBefore) return 100;
+  if (hoursBefore > 0) return refundPolicy.lateCancellationPercent;
+  return refundPolicy.afterPickupStartPercent;
+};
+
+const alertAdmins = async (title, message, payment) => {
+  const admins = await User.find({ role: 'admin' }).select('_id');
+
+  for (const admin of admins) {
+    await notify({
+      user: admin._id,
+      title,
+      message,
+      type: 'admin_alert',
+      relatedEntity: {
+        entityType: 'payment',
+        entityId: payment._id
+      },
+      priority: 'high'
+    });
+  }
+};
+
+// Send `amount` back through the payment's gateway and record it on the
+// payment and its booking. The amount is claimed on the payment before the
+// gateway is called, so two refunds can never exceed what was paid.
+// Resolves to { ok, amount, error }.
+const refundPayment = async (payment, amount, reason) => {
+  amount = roundAmount(Math.min(amount, payment.amount - payment.refundedAmount));
+
+  if (amount <= 0) {
+    return { ok: false, amount: 0, error: 'Nothing left to refund' };
+  }
+
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ['succeeded', 'partially_refunded'] },
+      refundedAmount: { $lte: roundAmount(payment.amount - amount) }
+    },
+    { $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { ok: false, amount: 0, error: 'Payment was already refunded' };
+  }
+
+  let result;
+  try {
+    result = await getProvider(claimed.provider).refund(claimed.providerOrderId, amount);
+  } catch (err) {
+    result = { ok: false, raw: null, error: err.message };
+  }
+
+  if (!result.ok) {
+    await Payment.updateOne(
+      { _id: claimed._id },
+      {
+        $inc: { refundedAmount: -amount },
+        $push: {
+          refunds: { amount, status: 'failed', reason, error: result.error, providerResponse: result.raw }
+        }
+      }
+    );
+    await alertAdmins(
+      'Refund Failed',
+      `Refunding ${amount} DZD for payment ${claimed.orderNumber} failed: ${result.error}`,
+      claimed
+    );
+    return { ok: false, amount: 0, error: result.error };
+  }
+
+  const fullyRefunded = claimed.refundedAmount >= claimed.amount;
+
+  await Payment.updateOne(
+    { _id: claimed._id },
+    {
+      status: fullyRefunded ? 'refunded' : 'partially_refunded',
+      $push: {
+        refunds: { amount, status: 'succeeded', reason, providerResponse: result.raw }
+      }
+    }
+  );
+
+  // Only the payment a booking was settled with changes its payment status
+  await Booking.updateOne(
+    { _id: claimed.booking, payment: claimed._id },
+    {
+      paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+      $inc: { refundedAmount: amount }
+    }
+  );
+
+  await notify({
+    user: claimed.user,
+    title: 'Refund Issued',
+    message: `${amount} DZD has been refunded to your card${reason ? ` (${reason})` : ''}. It can take a few days to appear on your account.`,
+    type: 'payment_refunded',
+    relatedEntity: {
+      entityType: 'payment',
+      entityId: claimed._id
+    },
+    actionUrl: `/bookings/${claimed.booking}`,
+    priority: 'medium'
+  });
+
+  return { ok: true, amount };
+};
+
+// Give a wallet booking's money back to the wallet: promo credit returns
+// as promo credit, the rest as cash, in the same proportion it was spent.
+const refundToWallet = async (booking, share, reason) => {
+  const debit = await WalletTransaction.findOne({ booking: booking._id, type: 'booking_debit' });
+  if (!debit) return null;
+
+  const userId = booking.user._id || booking.user;
+  const spent = (account) => -debit.entries
+    .filter(entry => entry.account === `wallet:${userId}:${account}`)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  const promo = roundAmount(spent('promo') * share / 100);
+  const cash = roundAmount(spent('cash') * share / 100);
+
+  if (cash + promo <= 0) {
+    return { ok: true, amount: 0, percent: share };
+  }
+
+  // One automatic refund per booking
+  const transaction = await postTransaction({
+    type: 'refund_credit',
+    userId,
+    cash,
+    promo,
+    booking: booking._id,
+    description: `Refund for booking ${booking._id}${reason ? ` (${reason})` : ''}`,
+    idempotencyKey: `refund_credit:${booking._id}`
+  });
+
+  const amount = roundAmount(cash + promo);
+
+  await Booking.updateOne(
+    { _id: booking._id },
+    {
+      paymentStatus: share >= 100 ? 'refunded' : 'partially_refunded',
+      refundedAmount: amount
+    }
+  );
+
+  await notify({
+    user: userId,
+    title: 'Refund Issued',
+    message: `${amount} DZD has been returned to your wallet${reason ? ` (${reason})` : ''}`,
+    type: 'payment_refunded',
+    relatedEntity: {
+      entityType: 'booking',
+      entityId: booking._id
+    },
+    actionUrl: `/bookings/${booking._id}`,
+    priority: 'medium'
+  });
+
+  return { ok: !!transaction, amount, percent: share };
+};
+
+// Refund a cancelled, rejected or closed booking according to the policy.
+// Card payments go back through the gateway and wallet payments to the
+// wallet. Cash bookings were never charged, so there's nothing to give back.
+// Pass `percent` to override the policy.
+// Resolves to { ok, amount, percent, error } or null when nothing is due.
+const refundBooking = async (booking, { cancelledBy, percent, reason, at } = {}) => {
+  if (booking.paymentStatus !== 'completed') return null;
+
+  const share = percent === undefined ? getRefundPercent(booking, cancelledBy, at) : percent;
+
+  if (booking.paymentMethod === 'wallet') {
+    return refundToWallet(booking, share, reason);
+  }
+
+  if (booking.paymentMethod !== 'card') return null;
+
+  const payment = booking.payment
+    ? await Payment.findById(booking.payment._id || booking.payment)
+    : await Payment.findOne({ booking: booking._id, status: 'succeeded' });
+
+  if (!payment) return null;
+
+  const amount = roundAmount(payment.amount * share / 100);
+
+  if (amount <= 0) {
+    return { ok: true, amount: 0, percent: share };
+  }
+
+  const result = await refundPayment(payment, amount, reason);
+  return { ...result, percent: share };
+};
+
+module.exports = {
+  getRefundPercent,
+  refundPayment,
+  refundBooking
+};
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const bookingConfig = require('../config/booking');
+const { notify } = require('./notificationDispatcher');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reliability score from 0 to 100: the share of finished bookings the
+// customer actually picked up. One virtual completed booking is added so
+// new customers start at 100 and a single no-show doesn't sink them to 0.
+const computeScore = (completed, noShows) =>
+  Math.round(((completed + 1) / (completed + noShows + 1)) * 100);
+
+// Get reliability stats for several customers at once.
+// Resolves to a map of user id -> { score, completed, noShows, recentNoShows }.
+const getReliabilityForUsers = async (userIds) => {
+  const ids = userIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+  const windowStart = new Date(Date.now() - bookingConfig.noShowStrikeWindowDays * DAY_MS);
+
+  const stats = await Booking.aggregate([
+    {
+      $match: {
+        user: { $in: ids },
+        status: { $in: ['completed', 'expired'] }
+      }
+    },
+    {
+      $group: {
+        _id: '$user',
+        completed: {
+          $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+        },
+        noShows: {
+          $sum: {
+            $cond: [{ $and: ['$isNoShow', { $not: ['$noShowForgiven'] }] }, 1, 0]
+          }
+        },
+        recentNoShows: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  '$isNoShow',
+                  { $not: ['$noShowForgiven'] },
+                  { $gte: ['$expiredAt', windowStart] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const byUser = {};
+  ids.forEach(id => {
+    byUser[id.toString()] = { score: 100, completed: 0, noShows: 0, recentNoShows: 0 };
+  });
+
+  stats.forEach(({ _id, completed, noShows, recentNoShows }) => {
+    byUser[_id.toString()] = {
+      score: computeScore(completed, noShows),
+      completed,
+      noShows,
+      recentNoShows
+    };
+  });
+
+  return byUser;
+};
+
+// Get reliability stats for one customer
+const getReliability = async (userId) => {
+  const byUser = await getReliabilityForUsers([userId]);
+  return byUser[userId.toString()];
+};
+
+// Block a customer from booking once they reach the no-show strike limit.
+// Called after a no-show is recorded. Returns the restriction end, or null.
+const applyNoShowPolicy = async (userId) => {
+  const { recentNoShows } = await getReliability(userId);
+
+  if (recentNoShows < bookingConfig.noShowStrikeLimit) return null;
+
+  const user = await User.findById(userId);
+  if (!user || user.isBookingRestricted()) return null;
+
+  const until = new Date(Date.now() + bookingConfig.noShowRestrictionDays * DAY_MS);
+
+  user.bookingRestriction = {
+    until,
+    reason: `${recentNoShows} bookings not picked up in the last ${bookingConfig.noShowStrikeWindowDays} days`,
+    createdAt: Date.now()
+  };
+  await user.save({ validateBeforeSave: false });
+
+  await notify({
+    user: user._id,
+    title: 'Bookings Temporarily Restricted',
+    message: `You did not pick up ${recentNoShows} recent bookings, so you can't make new bookings until ${until.toLocaleDateString('ar-DZ')}. If you think this is a mistake, you can submit an appeal.`,
+    type: 'account_alert',
+    relatedEntity: {
+      entityType: 'user',
+      entityId: user._id
+    },
+    priority: 'high'
+  });
+
+  return until;
+};
+
+module.exports = {
+  computeScore,
+  getReliability,
+  getReliabilityForUsers,
+  applyNoShowPolicy
+};
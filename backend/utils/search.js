@@ -0,0 +1,166 @@
+// Search on normalized tokens and character trigrams kept on each document.
+//
+// Mongo's text index can't fold Arabic letter variants, has no typo
+// tolerance and can't run after $geoNear, so offers and stores carry their
+// own search fields (see the models) and are ranked here instead.
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKENS = 150;
+const MAX_GRAMS = 300;
+// Share of the query's trigrams a document needs when no word matches exactly
+const MIN_FUZZY_SCORE = 0.5;
+
+// Weights of the relevance score
+const PRIMARY_WEIGHT = 3;
+const TOKEN_WEIGHT = 1;
+const FUZZY_WEIGHT = 2;
+
+const ARABIC_DIGITS = /[٠-٩۰-۹]/g;
+
+// Lowercase, drop French accents and Arabic short vowels (tashkeel), and
+// fold the Arabic letters people write interchangeably:
+// أ إ آ ٱ -> ا, ؤ -> و, ئ ى -> ي, ة -> ه
+const normalizeText = (text) => {
+  if (text === undefined || text === null) return '';
+
+  return String(text)
+    // Splits accented letters and hamza forms into base letter + mark
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/œ/g, 'oe')
+    .replace(/æ/g, 'ae')
+    .replace(/ß/g, 'ss')
+    // Tatweel (kashida) only stretches letters
+    .replace(/ـ/g, '')
+    .replace(/ٱ/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) & 0xF))
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+// Words of a text, without duplicates. Arabic words starting with the
+// definite article ال also match without it.
+const tokenize = (text) => {
+  const tokens = new Set();
+
+  for (const word of normalizeText(text).split(' ')) {
+    if (word.length < MIN_TOKEN_LENGTH) continue;
+    tokens.add(word);
+    if (word.startsWith('ال') && word.length > 4) {
+      tokens.add(word.slice(2));
+    }
+  }
+
+  return [...tokens];
+};
+
+// Three-letter slices of a word padded with spaces, so that misspelt or
+// unfinished words still share most of them with the right one
+const trigrams = (token) => {
+  const padded = ` ${token} `;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i += 1) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+const gramsOf = (tokens) => [...new Set(tokens.flatMap(trigrams))];
+
+// Search fields for a document. `primary` texts (names, city) weigh more
+// and are also matched fuzzily; `secondary` texts only match whole words.
+const buildSearchFields = ({ primary = [], secondary = [] }) => {
+  const primaryTokens = [...new Set(primary.flatMap(tokenize))];
+  const tokens = [...new Set([...primaryTokens, ...secondary.flatMap(tokenize)])];
+
+  return {
+    tokens: tokens.slice(0, MAX_TOKENS),
+    primary: primaryTokens.slice(0, MAX_TOKENS),
+    grams: gramsOf(primaryTokens).slice(0, MAX_GRAMS)
+  };
+};
+
+// Normalized words and trigrams of a search query, or null when nothing
+// searchable is left in it
+const parseSearchQuery = (q) => {
+  if (typeof q !== 'string') return null;
+
+  const tokens = tokenize(q.slice(0, 100)).slice(0, 10);
+  if (tokens.length === 0) return null;
+
+  return { tokens, grams: gramsOf(tokens) };
+};
+
+// Cheap, indexed condition for documents that may match the query
+const searchCondition = ({ tokens, grams }) => ({
+  $or: [
+    { 'search.tokens': { $in: tokens } },
+    { 'search.grams': { $in: grams } }
+  ]
+});
+
+const overlap = (field, values) => ({
+  $size: { $setIntersection: [{ $ifNull: [field, []] }, values] }
+});
+
+// Stages that score documents already narrowed by searchCondition() and
+// keep the relevant ones, with the score in `relevance`
+const relevanceStages = ({ tokens, grams }) => [
+  {
+    $addFields: {
+      _exact: overlap('$search.tokens', tokens),
+      _primary: overlap('$search.primary', tokens),
+      _fuzzy: { $divide: [overlap('$search.grams', grams), grams.length] }
+    }
+  },
+  {
+    $match: {
+      $or: [{ _exact: { $gt: 0 } }, { _fuzzy: { $gte: MIN_FUZZY_SCORE } }]
+    }
+  },
+  {
+    $addFields: {
+      relevance: {
+        $round: [{
+          $add: [
+            { $multiply: ['$_primary', PRIMARY_WEIGHT] },
+            { $multiply: ['$_exact', TOKEN_WEIGHT] },
+            { $multiply: ['$_fuzzy', FUZZY_WEIGHT] }
+          ]
+        }, 4]
+      }
+    }
+  },
+  {
+    $project: { _exact: 0, _primary: 0, _fuzzy: 0 }
+  }
+];
+
+// Whether an update touches any of `fields`
+const updateTouches = (update, fields) => {
+  if (!update) return false;
+
+  const stages = Array.isArray(update) ? update : [update];
+  return stages.some(stage =>
+    Object.entries(stage).some(([key, value]) =>
+      key.startsWith('$')
+        ? value && typeof value === 'object' &&
+          Object.keys(value).some(path => fields.includes(path.split('.')[0]))
+        : fields.includes(key.split('.')[0])
+    )
+  );
+};
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  trigrams,
+  buildSearchFields,
+  parseSearchQuery,
+  searchCondition,
+  relevanceStages,
+  updateTouches
+};
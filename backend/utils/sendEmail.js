@@ -0,0 +1,59 @@
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+// SMTP transport built from SMTP_* settings on first use. Without SMTP_HOST
+// (e.g. in development) emails are printed to the console instead.
+const getTransporter = () => {
+  if (!process.env.SMTP_HOST) return null;
+
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  return transporter;
+};
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Make user-typed text safe to put inside an email's HTML
+const escapeHtml = (text) =>
+  String(text === undefined || text === null ? '' : text)
+    .replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// Send an email. `html` is used as is, so callers escape anything users typed.
+// Rejects when the SMTP server refuses the message.
+const sendEmail = async ({ email, subject, html, text }) => {
+  const mailer = getTransporter();
+
+  if (!mailer) {
+    console.log(`[Email] to ${email}: ${subject}\n${text || html}`);
+    return { provider: 'console', to: email };
+  }
+
+  const info = await mailer.sendMail({
+    from: `${process.env.FROM_NAME || 'FoodSaver DZ'} <${process.env.FROM_EMAIL || 'noreply@foodsaver.dz'}>`,
+    to: email,
+    subject,
+    html,
+    text
+  });
+
+  return { provider: 'smtp', to: email, messageId: info.messageId };
+};
+
+module.exports = { sendEmail, escapeHtml };
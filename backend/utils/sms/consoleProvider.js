@@ -0,0 +1,9 @@
+// Development provider: prints messages to the console instead of sending them
+module.exports = {
+  name: 'console',
+
+  send: async ({ to, message }) => {
+    console.log(`[SMS] to ${to}: ${message}`);
+    return { provider: 'console', to };
+  }
+};
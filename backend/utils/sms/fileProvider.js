@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development provider: appends messages to a log file instead of sending them
+module.exports = {
+  name: 'file',
+
+  send: async ({ to, message }) => {
+    const logFile = process.env.SMS_LOG_FILE || path.join(__dirname, '..', '..', 'logs', 'sms.log');
+
+    await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+    await fs.promises.appendFile(
+      logFile,
+      `[${new Date().toISOString()}] ${to}: ${message}\n`
+    );
+
+    return { provider: 'file', to };
+  }
+};
@@ -0,0 +1,47 @@
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+
+// Registered SMS providers, keyed by name.
+// A provider is an object with a `name` and an async `send({ to, message })`.
+const providers = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+// Register an additional provider (e.g. a real SMS gateway)
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('An SMS provider must have a name and a send function');
+  }
+  providers[provider.name] = provider;
+};
+
+// Get the provider selected by SMS_PROVIDER (defaults to console)
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}"`);
+  }
+
+  return provider;
+};
+
+// Convert a local Algerian number (05/06/07...) to international format
+const toInternational = (phone) => {
+  if (phone.startsWith('+213')) return phone;
+  return `+213${phone.replace(/^0/, '')}`;
+};
+
+// Send an SMS through the configured provider
+const sendSms = async ({ to, message }) => {
+  return getProvider().send({ to: toInternational(to), message });
+};
+
+module.exports = {
+  sendSms,
+  registerProvider,
+  getProvider,
+  toInternational
+};
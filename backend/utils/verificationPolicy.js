@@ -0,0 +1,19 @@
+const policy = require('../config/verification');
+
+// Returns an error message if the user is not verified enough to perform
+// the given action, or null if they may proceed. Admins are never blocked.
+const getVerificationError = (user, action) => {
+  if (user.role === 'admin') return null;
+
+  if (policy.email.includes(action) && !user.isVerified) {
+    return 'Please verify your email address before continuing';
+  }
+
+  if (policy.phone.includes(action) && !user.isPhoneVerified) {
+    return 'Please verify your phone number before continuing';
+  }
+
+  return null;
+};
+
+module.exports = { getVerificationError };
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+
+// Platform side of each transaction type
+const PLATFORM_ACCOUNTS = {
+  topup: 'platform:topups',
+  booking_debit: 'platform:bookings',
+  refund_credit: 'platform:bookings',
+  promo_credit: 'platform:promotions',
+  admin_adjustment: 'platform:adjustments'
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const cashAccount = (userId) => `wallet:${userId}:cash`;
+const promoAccount = (userId) => `wallet:${userId}:promo`;
+
+// Get a user's wallet, creating an empty one on first use
+const getWallet = async (userId) =>
+  Wallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+// Post a transaction against a user's wallet.
+// `cash` and `promo` are the signed changes to the wallet's two balances;
+// the platform account for `type` takes the opposite side.
+// Debits only go through if the wallet covers them. Resolves to the
+// transaction, or null when the balance is too low. Reposting an
+// `idempotencyKey` resolves to the transaction already posted with it.
+const postTransaction = async ({
+  type,
+  userId,
+  cash = 0,
+  promo = 0,
+  booking,
+  payment,
+  createdBy,
+  description,
+  idempotencyKey
+}) => {
+  cash = roundAmount(cash);
+  promo = roundAmount(promo);
+
+  if (cash === 0 && promo === 0) {
+    throw new Error('A wallet transaction must move some money');
+  }
+
+  if (idempotencyKey) {
+    const existing = await WalletTransaction.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+
+  // Move the cached balances first: the guard makes debits atomic
+  const guard = { user: userId };
+  if (cash < 0) guard.balance = { $gte: -cash };
+  if (promo < 0) guard.promoBalance = { $gte: -promo };
+
+  const isCredit = cash >= 0 && promo >= 0;
+  const wallet = await Wallet.findOneAndUpdate(
+    guard,
+    { $inc: { balance: cash, promoBalance: promo } },
+    { new: true, upsert: isCredit, setDefaultsOnInsert: true }
+  );
+
+  if (!wallet) return null;
+
+  const entries = [];
+  if (cash !== 0) entries.push({ account: cashAccount(userId), user: userId, amount: cash });
+  if (promo !== 0) entries.push({ account: promoAccount(userId), user: userId, amount: promo });
+  entries.push({ account: PLATFORM_ACCOUNTS[type], amount: roundAmount(-(cash + promo)) });
+
+  try {
+    return await WalletTransaction.create({
+      type,
+      user: userId,
+      entries,
+      balanceAfter: wallet.balance,
+      promoBalanceAfter: wallet.promoBalance,
+      booking,
+      payment,
+      createdBy,
+      description,
+      idempotencyKey
+    });
+  } catch (err) {
+    // Put the balances back; the ledger didn't record the move
+    await Wallet.updateOne(
+      { user: userId },
+      { $inc: { balance: -cash, promoBalance: -promo } }
+    );
+
+    // Lost a race on the same idempotency key
+    if (err.code === 11000 && idempotencyKey) {
+      return WalletTransaction.findOne({ idempotencyKey });
+    }
+    throw err;
+  }
+};
+
+// Pay for a booking from the wallet, promo credit first.
+// Resolves to the transaction, or null when the wallet can't cover it.
+const debitForBooking = async (userId, bookingId, amount) => {
+  const wallet = await getWallet(userId);
+  const promo = Math.min(wallet.promoBalance, roundAmount(amount));
+  const cash = roundAmount(amount - promo);
+
+  const transaction = await postTransaction({
+    type: 'booking_debit',
+    userId,
+    cash: -cash,
+    promo: -promo,
+    booking: bookingId,
+    description: `Payment for booking ${bookingId}`,
+    idempotencyKey: `booking_debit:${bookingId}`
+  });
+
+  // The promo balance may have been spent meanwhile; try again with fresh balances
+  if (!transaction && promo > 0) {
+    const fresh = await getWallet(userId);
+    if (fresh.promoBalance !== wallet.promoBalance) {
+      return debitForBooking(userId, bookingId, amount);
+    }
+  }
+
+  return transaction;
+};
+
+// Undo a booking debit whose booking couldn't be saved
+const reverseBookingDebit = async (debit) => {
+  const userId = debit.user;
+  const sumFor = (account) => -debit.entries
+    .filter(entry => entry.account === account)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  return postTransaction({
+    type: 'refund_credit',
+    userId,
+    cash: sumFor(cashAccount(userId)),
+    promo: sumFor(promoAccount(userId)),
+    booking: debit.booking,
+    description: `Booking ${debit.booking} could not be created`,
+    idempotencyKey: `refund_credit:${debit.booking}`
+  });
+};
+
+// Sum a user's ledger entries: what the cached balances should be
+const getLedgerBalance = async (userId) => {
+  const totals = await WalletTransaction.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId.toString()) } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': { $in: [cashAccount(userId), promoAccount(userId)] } } },
+    { $group: { _id: '$entries.account', amount: { $sum: '$entries.amount' } } }
+  ]);
+
+  const byAccount = Object.fromEntries(totals.map(({ _id, amount }) => [_id, roundAmount(amount)]));
+
+  return {
+    balance: byAccount[cashAccount(userId)] || 0,
+    promoBalance: byAccount[promoAccount(userId)] || 0
+  };
+};
+
+module.exports = {
+  roundAmount,
+  getWallet,
+  postTransaction,
+  debitForBooking,
+  reverseBookingDebit,
+  getLedgerBalance
+};
@@ -1,5 +1,5 @@
 // API Configuration
-export const API_URL = 'http://YOUR_BACKEND_URL/api'; // Replace with your actual backend URL
+export const API_URL = 'http://YOUR_BACKEND_URL/api/v1'; // Replace with your actual backend URL
 
 // Google Maps API Key
 export const GOOGLE_MAPS_API_KEY = 'YOUR_GOOGLE_MAPS_API_KEY'; // Replace with your actual Google Maps API key
@@ -81,4 +81,11 @@ export const ERROR_MESSAGES = {
   INVALID_PHONE: 'Please enter a valid Algerian phone number.',
   PASSWORD_TOO_WEAK: 'Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, and one number.',
   PASSWORDS_DONT_MATCH: 'Passwords do not match.',
+  PASSWORD_MIN_LENGTH: 'Password must be at least 8 characters long.',
+};
+
+// Success Messages
+export const SUCCESS_MESSAGES = {
+  RESET_EMAIL_SENT: 'If an account exists for this email, a password reset link has been sent.',
+  PASSWORD_RESET: 'Your password has been reset. Please log in with your new password.',
 };
@@ -1,8 +1,10 @@
 import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import axios from 'axios';
 import { API_URL } from '../config';
 import * as Notifications from 'expo-notifications';
+import { disconnectSocket } from '../services/socket';
 
 // Default user permissions based on role
 const DEFAULT_PERMISSIONS = {
@@ -154,11 +156,13 @@ export const AuthProvider = ({ children }) => {
         return;
       }
       
-      const token = (await Notifications.getExpoPushTokenAsync()).data;
+      const pushToken = (await Notifications.getExpoPushTokenAsync()).data;
       
       // Save the push token to the user's profile
-      await axios.post(`${API_URL}/users/${userId}/push-token`, { token }, {
-        headers: { Authorization: `Bearer ${token}` }
+      // (the auth header is already set on axios defaults)
+      await axios.post(`${API_URL}/users/${userId}/push-token`, {
+        token: pushToken,
+        platform: Platform.OS
       });
       
     } catch (error) {
@@ -228,6 +232,9 @@ export const AuthProvider = ({ children }) => {
         ['tokenExpiry', expiryDate.toISOString()]
       ]);
       
+      // Reconnect the live updates socket with the new identity
+      disconnectSocket();
+      
       // Update state
       setToken(token);
       setUser(user);
@@ -267,6 +274,9 @@ export const AuthProvider = ({ children }) => {
         ['tokenExpiry', expiryDate.toISOString()]
       ]);
       
+      // Reconnect the live updates socket with the new identity
+      disconnectSocket();
+      
       // Update state
       setToken(token);
       setUser(user);
@@ -299,7 +309,7 @@ export const AuthProvider = ({ children }) => {
         { headers: { Authorization: `Bearer ${token}` } }
       );
       
-      const updatedUser = { ...user, ...response.data };
+      const updatedUser = { ...user, ...response.data.data };
       
       // Update AsyncStorage
       await AsyncStorage.setItem('user', JSON.stringify(updatedUser));
@@ -350,10 +360,24 @@ export const AuthProvider = ({ children }) => {
           console.error('Error clearing push token:', error);
         }
       }
-      
+
+      // Revoke the session on the server so the refresh token can't be reused
+      if (token) {
+        try {
+          await axios.post(`${API_URL}/auth/logout`, {}, {
+            headers: { Authorization: `Bearer ${token}` }
+          });
+        } catch (error) {
+          console.error('Error revoking session:', error);
+        }
+      }
+
       // Clear AsyncStorage
       await AsyncStorage.multiRemove(['token', 'user', 'refreshToken', 'tokenExpiry']);
       
+      // Reconnect the live updates socket as a guest
+      disconnectSocket();
+      
       // Update state
       setToken(null);
       setUser(null);
@@ -0,0 +1,92 @@
+import { useEffect, useMemo, useState } from 'react';
+import { getSocket, onSocketReplaced } from '../services/socket';
+
+const offerIdOf = (offer) => offer._id || offer.id;
+
+// Keep a list of offers up to date with live availability from the server.
+// Subscribes to every offer in the list and, when a location is given, to the
+// surrounding area. Returns the offers with `availableQuantity`, `isActive`
+// and `soldOut` overridden by the latest updates.
+const useOfferAvailability = (offers, location) => {
+  const [updates, setUpdates] = useState({});
+  // Bumped when login or logout replaces the socket, to attach to the new one
+  const [socketVersion, setSocketVersion] = useState(0);
+  const latitude = location?.latitude;
+  const longitude = location?.longitude;
+
+  const offerIds = useMemo(
+    () => offers.map(offerIdOf).filter(Boolean),
+    [offers]
+  );
+  const offerIdsKey = offerIds.join(',');
+
+  useEffect(
+    () => onSocketReplaced(() => setSocketVersion(version => version + 1)),
+    []
+  );
+
+  // Listen for availability changes
+  useEffect(() => {
+    const socket = getSocket();
+
+    const handleAvailability = (payload) => {
+      setUpdates(prev => ({ ...prev, [payload.offerId]: payload }));
+    };
+
+    socket.on('offer:availability', handleAvailability);
+    return () => {
+      socket.off('offer:availability', handleAvailability);
+    };
+  }, [socketVersion]);
+
+  // Follow the offers currently on screen
+  useEffect(() => {
+    if (offerIds.length === 0) return undefined;
+
+    const socket = getSocket();
+    const subscribe = () => socket.emit('offers:subscribe', { offerIds });
+
+    subscribe();
+    // Rooms are lost on reconnect, so subscribe again
+    socket.on('connect', subscribe);
+
+    return () => {
+      socket.off('connect', subscribe);
+      socket.emit('offers:unsubscribe', { offerIds });
+    };
+  }, [offerIdsKey, socketVersion]);
+
+  // Follow the area around the user
+  useEffect(() => {
+    if (latitude == null || longitude == null) return undefined;
+
+    const socket = getSocket();
+    const subscribe = () => socket.emit('area:subscribe', { lat: latitude, lng: longitude });
+
+    subscribe();
+    socket.on('connect', subscribe);
+
+    return () => {
+      socket.off('connect', subscribe);
+      socket.emit('area:unsubscribe');
+    };
+  }, [latitude, longitude, socketVersion]);
+
+  return useMemo(
+    () => offers.map(offer => {
+      const update = updates[offerIdOf(offer)];
+      const merged = update
+        ? { ...offer, availableQuantity: update.availableQuantity, isActive: update.isActive }
+        : offer;
+
+      return {
+        ...merged,
+        soldOut: merged.isActive === false ||
+          (merged.availableQuantity !== undefined && merged.availableQuantity <= 0),
+      };
+    }),
+    [offers, updates]
+  );
+};
+
+export default useOfferAvailability;
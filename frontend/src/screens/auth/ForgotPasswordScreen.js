@@ -26,11 +26,7 @@ const ForgotPasswordScreen = ({ navigation }) => {
       setError('');
       setSuccess('');
       
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // In a real app, you would make an API call here
-      // await axios.post(`${API_URL}/auth/forgot-password`, { email: values.email });
+      await axios.post(`${API_URL}/auth/forgot-password`, { email: values.email });
       
       setSuccess(SUCCESS_MESSAGES.RESET_EMAIL_SENT);
       resetForm();
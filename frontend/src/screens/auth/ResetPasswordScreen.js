@@ -36,14 +36,10 @@ const ResetPasswordScreen = () => {
       setError('');
       setSuccess('');
       
-      // In a real app, you would make an API call here
-      // await axios.post(`${API_URL}/auth/reset-password`, {
-      //   token,
-      //   password: values.password
-      // });
-      
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      await axios.post(`${API_URL}/auth/reset-password`, {
+        token,
+        password: values.password
+      });
       
       setSuccess(SUCCESS_MESSAGES.PASSWORD_RESET);
       
@@ -4,7 +4,29 @@ import { Text, Searchbar, Card, Button, useTheme, ActivityIndicator } from 'reac
 import { useNavigation } from '@react-navigation/native';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
-import { STORE_CATEGORIES, PICKUP_TIMES } from '../../config';
+import axios from 'axios';
+import { API_URL, ENDPOINTS, STORE_CATEGORIES, APP_CONFIG } from '../../config';
+import useOfferAvailability from '../../hooks/useOfferAvailability';
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString('ar-DZ', { hour: '2-digit', minute: '2-digit' });
+
+// Shape an offer from the API for the offer cards
+const toOfferCard = (offer) => ({
+  id: offer._id,
+  title: offer.title,
+  store: offer.store?.name,
+  originalPrice: offer.originalPrice,
+  price: offer.discountedPrice,
+  discount: Math.round((1 - offer.discountedPrice / offer.originalPrice) * 100),
+  distance: offer.distance,
+  rating: offer.rating,
+  image: offer.images?.[0],
+  pickupTime: `${formatTime(offer.pickupStart)} - ${formatTime(offer.pickupEnd)}`,
+  category: offer.category,
+  availableQuantity: offer.availableQuantity,
+  isActive: offer.isActive,
+});
 
 const HomeScreen = () => {
   const { colors } = useTheme();
@@ -17,56 +39,19 @@ const HomeScreen = () => {
   const [nearbyStores, setNearbyStores] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('all');
 
-  // Simulate fetching data
+  // The user's area, or Algiers (GeoJSON coordinates are [lng, lat])
+  const [userLng, userLat] = user?.location?.coordinates || [];
+  const latitude = userLat ?? APP_CONFIG.MAP_DEFAULTS.LATITUDE;
+  const longitude = userLng ?? APP_CONFIG.MAP_DEFAULTS.LONGITUDE;
+
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
       
-      // Simulate API calls
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Mock data for featured offers
-      const mockFeaturedOffers = [
-        {
-          id: '1',
-          title: 'سلة فواكه متنوعة',
-          store: 'سوبر ماركت المدينة',
-          originalPrice: 2500,
-          price: 1000,
-          discount: 60,
-          distance: 1.2,
-          rating: 4.5,
-          image: 'https://images.unsplash.com/photo-1542838132-92d533f91e39?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=80',
-          pickupTime: PICKUP_TIMES[3],
-          category: 'supermarket'
-        },
-        {
-          id: '2',
-          title: 'مخبوزات طازجة',
-          store: 'مخبز الأصيل',
-          originalPrice: 800,
-          price: 300,
-          discount: 62,
-          distance: 0.8,
-          rating: 4.8,
-          image: 'https://images.unsplash.com/photo-1509440159596-0249088772ff?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=80',
-          pickupTime: PICKUP_TIMES[2],
-          category: 'bakery'
-        },
-        {
-          id: '3',
-          title: 'وجبة عشاء كاملة',
-          store: 'مطعم الشيف',
-          originalPrice: 2000,
-          price: 800,
-          discount: 60,
-          distance: 2.1,
-          rating: 4.3,
-          image: 'https://images.unsplash.com/photo-1512621776951-a57141f2eefd?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=80',
-          pickupTime: PICKUP_TIMES[4],
-          category: 'restaurant'
-        },
-      ];
+      // Offers around the user, closest first
+      const response = await axios.get(`${API_URL}${ENDPOINTS.OFFERS.NEARBY}`, {
+        params: { lat: latitude, lng: longitude, limit: 10 },
+      });
 
       // Mock data for nearby stores
       const mockNearbyStores = [
@@ -108,7 +93,7 @@ const HomeScreen = () => {
         },
       ];
 
-      setFeaturedOffers(mockFeaturedOffers);
+      setFeaturedOffers(response.data.data.map(toOfferCard));
       setNearbyStores(mockNearbyStores);
     } catch (error) {
       console.error('Error fetching data:', error);
@@ -116,7 +101,7 @@ const HomeScreen = () => {
       setLoading(false);
       setRefreshing(false);
     }
-  }, []);
+  }, [latitude, longitude]);
 
   // Initial data load
   useEffect(() => {
@@ -129,21 +114,34 @@ const HomeScreen = () => {
     fetchData();
   }, [fetchData]);
 
+  // Live availability for the user's area
+  const liveOffers = useOfferAvailability(featuredOffers, { latitude, longitude });
+
   // Filter offers by category
   const filteredOffers = selectedCategory === 'all' 
-    ? featuredOffers 
-    : featuredOffers.filter(offer => offer.category === selectedCategory);
+    ? liveOffers 
+    : liveOffers.filter(offer => offer.category === selectedCategory);
 
   // Render offer item
   const renderOfferItem = ({ item }) => (
     <Card 
-      style={[styles.offerCard, { backgroundColor: colors.surface }]}
+      style={[
+        styles.offerCard,
+        { backgroundColor: colors.surface },
+        item.soldOut && styles.offerCardSoldOut
+      ]}
       onPress={() => navigation.navigate('OfferDetails', { offerId: item.id })}
+      disabled={item.soldOut}
     >
       <Card.Cover source={{ uri: item.image }} style={styles.offerImage} />
       <View style={styles.offerBadge}>
         <Text style={styles.offerBadgeText}>-{item.discount}%</Text>
       </View>
+      {item.soldOut && (
+        <View style={styles.soldOutBadge}>
+          <Text style={styles.offerBadgeText}>نفدت الكمية</Text>
+        </View>
+      )}
       <Card.Content style={styles.offerContent}>
         <View style={styles.offerHeader}>
           <Text style={styles.offerTitle} numberOfLines={1}>{item.title}</Text>
@@ -479,6 +477,18 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     fontSize: 12,
   },
+  offerCardSoldOut: {
+    opacity: 0.5,
+  },
+  soldOutBadge: {
+    position: 'absolute',
+    top: 12,
+    right: 12,
+    backgroundColor: '#616161',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
   offerContent: {
     padding: 12,
   },
@@ -0,0 +1,43 @@
+import { io } from 'socket.io-client';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { API_URL } from '../config';
+
+// Socket.IO lives at the server root, not under the REST prefix
+const SOCKET_URL = API_URL.replace(/\/api(\/v\d+)?\/?$/, '');
+
+let socket = null;
+const replacementListeners = new Set();
+
+// Get told when the shared socket is dropped for a new identity, to attach
+// listeners and subscriptions to the next one. Returns the unsubscribe.
+export const onSocketReplaced = (listener) => {
+  replacementListeners.add(listener);
+  return () => {
+    replacementListeners.delete(listener);
+  };
+};
+
+// Shared socket connection. Sends the stored access token when there is one;
+// guests connect anonymously and can only follow public offer updates.
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      transports: ['websocket'],
+      auth: async (cb) => {
+        const token = await AsyncStorage.getItem('token');
+        cb(token ? { token } : {});
+      },
+    });
+  }
+
+  return socket;
+};
+
+// Close the connection, e.g. on logout so the next one uses the new identity
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+    replacementListeners.forEach(listener => listener());
+  }
+};